@@ -1,3 +1,4 @@
 export * from "./src/state.js";
+export * from "./src/addons.js";
 export * from "./src/template.js";
 export * from "./src/router.js";
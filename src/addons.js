@@ -0,0 +1,455 @@
+import {
+    store,
+    subscribe,
+    watch,
+    onCleanup,
+    batch,
+    flush,
+    snapshot,
+    toRaw,
+    applyChange,
+    withChangeSource,
+    getChangeSource,
+    withStoreRuntime,
+    getByPath,
+    mergeValue,
+    warn,
+} from "./state.js";
+
+let pathSeparator = "/";
+
+/**
+ * History records the mutations made through the specified store
+ * and allows to undo and redo them.
+ *
+ * All mutations from a single watchers flush (aka. microtask) are grouped in one history entry.
+ *
+ * The returned object has reactive `canUndo` and `canRedo` props
+ * and the following methods:
+ * - `undo()` - reverts the last history entry
+ * - `redo()` - reapplies the last reverted history entry
+ * - `clear()` - removes all history entries
+ * - `destroy()` - stops recording the store mutations
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ title: "", tags: [] })
+ *
+ * const h = history(data, { limit: 50 })
+ *
+ * t.button({ disabled: () => !h.canUndo, onclick: () => h.undo() }, "Undo")
+ * t.button({ disabled: () => !h.canRedo, onclick: () => h.redo() }, "Redo")
+ * ```
+ *
+ * @param  {Object} data
+ * @param  {Object} [options]
+ * @param  {number} [options.limit] The max number of history entries (default to 100).
+ * @return {{canUndo:boolean, canRedo:boolean, undo:Function, redo:Function, clear:Function, destroy:Function}}
+ */
+export function history(data, options = {}) {
+    let limit = options.limit ?? 100;
+
+    let undoStack = [];
+    let redoStack = [];
+
+    let state = store({
+        canUndo: false,
+        canRedo: false,
+    });
+
+    let h;
+
+    function sync() {
+        state.canUndo = undoStack.length > 0;
+        state.canRedo = redoStack.length > 0;
+    }
+
+    function replay(from, to, revert) {
+        // ensure that the pending changes are recorded
+        withStoreRuntime(data, flush);
+
+        let entry = from.pop();
+        if (!entry) {
+            return;
+        }
+
+        withChangeSource(h, () => {
+            if (revert) {
+                for (let i = entry.length - 1; i >= 0; i--) {
+                    applyChange(entry[i], true);
+                }
+            } else {
+                for (let change of entry) {
+                    applyChange(change, false);
+                }
+            }
+        });
+
+        to.push(entry);
+
+        sync();
+    }
+
+    let unsubscribe = subscribe(data, (changes) => {
+        // exclude the changes made by the history itself
+        changes = changes.filter((c) => getChangeSource(c) !== h);
+        if (!changes.length) {
+            return;
+        }
+
+        undoStack.push(changes);
+        if (undoStack.length > limit) {
+            undoStack.shift();
+        }
+
+        redoStack = [];
+
+        sync();
+    });
+
+    h = {
+        get canUndo() {
+            return state.canUndo;
+        },
+        get canRedo() {
+            return state.canRedo;
+        },
+        undo() {
+            replay(undoStack, redoStack, true);
+        },
+        redo() {
+            replay(redoStack, undoStack, false);
+        },
+        clear() {
+            undoStack = [];
+            redoStack = [];
+            sync();
+        },
+        destroy() {
+            unsubscribe();
+            h.clear();
+        },
+    };
+
+    return h;
+}
+
+/**
+ * Persist restores the previously saved state of the specified store
+ * from `storage` and writes back (debounced) the selected store paths on change.
+ *
+ * `options` is an object with the following fields:
+ * - `key` - the storage item key (required)
+ * - `storage` - any Storage-like object with `getItem`, `setItem` and `removeItem` methods (default to `localStorage`)
+ * - `paths` - list of store paths to persist, e.g. `["theme", "user/name"]` (default to all top-level store props)
+ * - `version` - the current state version (default to 0)
+ * - `migrate` - a function `(data, oldVersion) => newData` or an object with `version => function(data)` migrations
+ *     that are invoked when the stored version differs from the current one
+ * - `debounce` - the debounce delay of the storage writes in ms (default to 100)
+ *
+ * Note that the persisted values must be JSON serializable.
+ *
+ * The returned object has the following methods:
+ * - `save()` - immediately writes the selected store paths in the storage
+ * - `clear()` - removes the stored state
+ * - `destroy()` - stops watching the store for changes
+ *
+ * The pending debounced write (if any) is saved immediately on `destroy()` and on page hide.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ theme: "light", sidebar: { collapsed: false }, tmp: "" })
+ *
+ * persist(data, {
+ *     key: "app",
+ *     paths: ["theme", "sidebar"],
+ *     version: 2,
+ *     migrate: {
+ *         2: (data) => ({ ...data, theme: data.darkMode ? "dark" : "light" }),
+ *     },
+ * })
+ * ```
+ *
+ * @param  {Object} data
+ * @param  {Object} options
+ * @return {{save:Function, clear:Function, destroy:Function}}
+ */
+export function persist(data, options) {
+    let storage = options.storage || globalThis.localStorage;
+    let version = options.version || 0;
+    let debounce = options.debounce ?? 100;
+
+    let paths = options.paths || defaultPaths(data);
+
+    // restore
+    // ---
+    let saved;
+    try {
+        saved = JSON.parse(storage.getItem(options.key));
+    } catch (err) {
+        warn("persist: failed to load " + options.key + ":", err);
+    }
+
+    if (saved?.data) {
+        let savedData = saved.data;
+
+        if (saved.version !== version && options.migrate) {
+            savedData = migrateData(savedData, saved.version, version, options.migrate);
+        }
+
+        withStoreRuntime(data, () => {
+            batch(() => {
+                for (let path of paths) {
+                    let segments = path.split(pathSeparator);
+                    let value = getByPath(savedData, segments);
+                    if (typeof value != "undefined") {
+                        setByPath(data, segments, value);
+                    }
+                }
+            });
+        });
+    }
+
+    // save
+    // ---
+    let timeoutId;
+
+    function save() {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+
+        let result = {};
+        for (let path of paths) {
+            let segments = path.split(pathSeparator);
+            setByPath(result, segments, snapshot(getByPath(data, segments)), true);
+        }
+
+        try {
+            storage.setItem(
+                options.key,
+                JSON.stringify({ version: version, data: result }),
+            );
+        } catch (err) {
+            warn("persist: failed to save " + options.key + ":", err);
+        }
+    }
+
+    // watch in the store runtime so that the writes are stopped with it
+    let watcher = withStoreRuntime(data, () =>
+        watch(
+            () => {
+                // track the selected paths
+                for (let path of paths) {
+                    snapshot(getByPath(data, path.split(pathSeparator)));
+                }
+            },
+            () => {
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(save, debounce);
+
+                // cancel the pending write if the watcher is removed (e.g. on runtime destroy)
+                onCleanup(() => clearTimeout(timeoutId));
+            },
+            // skip the initial run since the data was just restored
+            { immediate: false },
+        ),
+    );
+
+    // write the pending changes (if any) without waiting for the debounce
+    function savePending() {
+        // run the queued watcher (if any) so that it could schedule the write
+        withStoreRuntime(data, flush);
+
+        if (timeoutId != null) {
+            save();
+        }
+    }
+
+    globalThis.addEventListener?.("pagehide", savePending);
+
+    return {
+        save: save,
+        clear() {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+            storage.removeItem(options.key);
+        },
+        destroy() {
+            savePending();
+            watcher.unwatch();
+            globalThis.removeEventListener?.("pagehide", savePending);
+        },
+    };
+}
+
+function migrateData(data, fromVersion, toVersion, migrate) {
+    if (typeof migrate == "function") {
+        return migrate(data, fromVersion);
+    }
+
+    let versions = Object.keys(migrate)
+        .map(Number)
+        .filter((v) => v > (fromVersion || 0) && v <= toVersion)
+        .sort((a, b) => a - b);
+
+    for (let v of versions) {
+        data = migrate[v](data);
+    }
+
+    return data;
+}
+
+// Sets the value at the specified path (see mergeValue).
+function setByPath(obj, segments, value, createMissing = false) {
+    let last = segments[segments.length - 1];
+
+    for (let i = 0; i < segments.length - 1; i++) {
+        if (obj[segments[i]] == null && createMissing) {
+            obj[segments[i]] = {};
+        }
+
+        obj = obj[segments[i]];
+
+        if (obj == null) {
+            return;
+        }
+    }
+
+    mergeValue(obj, last, value);
+}
+
+/**
+ * SyncTabs broadcasts the mutations of the selected store paths to the
+ * other browser tabs (or workers) and applies the incoming ones.
+ *
+ * The synchronization is per path with last-writer-wins ordering, aka. when
+ * multiple tabs change the same path, all tabs end up with the latest change.
+ *
+ * `options` is an object with the following fields:
+ * - `channel` - BroadcastChannel name or any object with `postMessage`, `addEventListener`
+ *     and `removeEventListener` methods (default to "shablon")
+ * - `paths` - list of store paths to sync, e.g. `["theme", "user/name"]` (default to all top-level store props)
+ *
+ * Note that the synced values must be structured cloneable.
+ *
+ * It returns a function that could be used to stop the synchronization.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ user: null, theme: "light", drafts: 0 })
+ *
+ * const stop = syncTabs(data, { channel: "app", paths: ["user", "theme"] })
+ * ```
+ *
+ * @param  {Object} data
+ * @param  {Object} [options]
+ * @return {Function} Stop function.
+ */
+export function syncTabs(data, options = {}) {
+    let channel = options.channel || "shablon";
+    let ownChannel = typeof channel == "string";
+    if (ownChannel) {
+        channel = new BroadcastChannel(channel);
+    }
+
+    let paths = options.paths || defaultPaths(data);
+
+    let tabId = Math.random().toString(36).substring(2);
+    let clock = 0;
+
+    // path -> [time, tabId] of the last applied change
+    let versions = new Map();
+
+    let sync = {};
+
+    function isNewer(path, time, tab) {
+        let version = versions.get(path);
+        return !version || time > version[0] || (time == version[0] && tab > version[1]);
+    }
+
+    let unsubscribe = subscribe(data, (changes) => {
+        let changed = new Set();
+
+        for (let change of changes) {
+            // exclude the changes made by the sync itself
+            if (getChangeSource(change) === sync) {
+                continue;
+            }
+
+            for (let path of paths) {
+                if (change.path == path || change.path.startsWith(path + pathSeparator)) {
+                    changed.add(path);
+                }
+            }
+        }
+
+        if (!changed.size) {
+            return;
+        }
+
+        clock = Math.max(clock + 1, Date.now());
+
+        let values = [];
+        for (let path of changed) {
+            versions.set(path, [clock, tabId]);
+            values.push([path, snapshot(getByPath(data, path.split(pathSeparator)))]);
+        }
+
+        channel.postMessage({ tab: tabId, time: clock, values: values });
+    });
+
+    function onMessage(e) {
+        let msg = e.data;
+        if (!msg?.tab || msg.tab == tabId) {
+            return;
+        }
+
+        clock = Math.max(clock, msg.time);
+
+        // batch in the store runtime
+        withStoreRuntime(data, () => {
+            withChangeSource(sync, () => {
+                batch(() => {
+                    for (let [path, value] of msg.values) {
+                        if (!paths.includes(path) || !isNewer(path, msg.time, msg.tab)) {
+                            continue;
+                        }
+
+                        versions.set(path, [msg.time, msg.tab]);
+
+                        let segments = path.split(pathSeparator);
+                        let parent = getByPath(data, segments.slice(0, -1));
+                        if (parent != null) {
+                            mergeValue(
+                                parent,
+                                segments[segments.length - 1],
+                                value,
+                                true,
+                            );
+                        }
+                    }
+                });
+            });
+        });
+    }
+
+    channel.addEventListener("message", onMessage);
+
+    return () => {
+        unsubscribe();
+        channel.removeEventListener("message", onMessage);
+        if (ownChannel) {
+            channel.close();
+        }
+    };
+}
+
+// Returns all top-level store props (excluding the getters).
+function defaultPaths(data) {
+    return Object.entries(Object.getOwnPropertyDescriptors(toRaw(data)))
+        .filter(([_, descriptor]) => descriptor.enumerable && !descriptor.get)
+        .map(([prop]) => prop);
+}
@@ -0,0 +1,651 @@
+import assert from "node:assert/strict";
+import { test, describe, beforeEach, afterEach } from "node:test";
+import { watch, store, toRaw, createRuntime, inspect } from "./state.js";
+import { history, persist, syncTabs } from "./addons.js";
+
+describe("history", () => {
+    let data;
+    let h;
+
+    beforeEach(() => {
+        data = store({
+            title: "a",
+            user: { name: "a" },
+            tags: ["a", "b", "c"],
+            selected: new Set(),
+        });
+
+        h = history(data, { limit: 3 });
+    });
+
+    afterEach(() => {
+        h.destroy();
+    });
+
+    test("initial state", () => {
+        assert.strictEqual(h.canUndo, false, "canUndo");
+        assert.strictEqual(h.canRedo, false, "canRedo");
+    });
+
+    test("undo and redo of grouped changes", async () => {
+        data.title = "b";
+        data.user.name = "b";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.title = "c";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(h.canUndo, true, "canUndo");
+
+        h.undo();
+        assert.strictEqual(data.title, "b", "[undo 1] title");
+        assert.strictEqual(data.user.name, "b", "[undo 1] user.name");
+
+        h.undo();
+        assert.strictEqual(data.title, "a", "[undo 2] title");
+        assert.strictEqual(data.user.name, "a", "[undo 2] user.name");
+        assert.strictEqual(h.canUndo, false, "[undo 2] canUndo");
+        assert.strictEqual(h.canRedo, true, "[undo 2] canRedo");
+
+        h.redo();
+        assert.strictEqual(data.title, "b", "[redo 1] title");
+        assert.strictEqual(data.user.name, "b", "[redo 1] user.name");
+
+        h.redo();
+        assert.strictEqual(data.title, "c", "[redo 2] title");
+        assert.strictEqual(h.canRedo, false, "[redo 2] canRedo");
+
+        // the replayed changes should not be recorded
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(h.canRedo, false, "[after redo] canRedo");
+        h.undo();
+        h.undo();
+        assert.strictEqual(h.canUndo, false, "[after redo] canUndo");
+    });
+
+    test("undo pending (not flushed yet) changes", () => {
+        data.title = "b";
+
+        h.undo();
+
+        assert.strictEqual(data.title, "a");
+    });
+
+    test("array splices", async () => {
+        data.tags.push("d");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.tags.splice(1, 2, "x");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.tags.reverse();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual([...data.tags], ["d", "x", "a"], "before");
+
+        h.undo();
+        assert.deepStrictEqual([...data.tags], ["a", "x", "d"], "[undo 1]");
+
+        h.undo();
+        assert.deepStrictEqual([...data.tags], ["a", "b", "c", "d"], "[undo 2]");
+
+        h.undo();
+        assert.deepStrictEqual([...data.tags], ["a", "b", "c"], "[undo 3]");
+
+        h.redo();
+        h.redo();
+        h.redo();
+        assert.deepStrictEqual([...data.tags], ["d", "x", "a"], "[redo]");
+    });
+
+    test("property additions and deletions", async () => {
+        data.user.age = 1;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        delete data.user.name;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        h.undo();
+        assert.deepStrictEqual({ ...data.user }, { name: "a", age: 1 }, "[undo 1]");
+
+        h.undo();
+        assert.deepStrictEqual({ ...data.user }, { name: "a" }, "[undo 2]");
+
+        h.redo();
+        h.redo();
+        assert.deepStrictEqual({ ...data.user }, { age: 1 }, "[redo]");
+    });
+
+    test("Set additions and deletions", async () => {
+        data.selected.add("a");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.selected.delete("a");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        h.undo();
+        assert.deepStrictEqual([...data.selected], ["a"], "[undo 1]");
+
+        h.undo();
+        assert.deepStrictEqual([...data.selected], [], "[undo 2]");
+    });
+
+    test("new change should clear the redo entries", async () => {
+        data.title = "b";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        h.undo();
+        assert.strictEqual(h.canRedo, true, "[before] canRedo");
+
+        data.title = "c";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(h.canRedo, false, "[after] canRedo");
+    });
+
+    test("limit", async () => {
+        for (let i = 0; i < 5; i++) {
+            data.title = "v" + i;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        h.undo();
+        h.undo();
+        h.undo();
+        h.undo();
+
+        assert.strictEqual(data.title, "v1");
+    });
+
+    test("reactive canUndo and canRedo", async () => {
+        let result = [];
+
+        const w = watch(() => {
+            result.push([h.canUndo, h.canRedo]);
+        });
+
+        data.title = "b";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        h.undo();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, [
+            [false, false],
+            [true, false],
+            [false, true],
+        ]);
+    });
+});
+
+describe("persist", () => {
+    let storage;
+
+    beforeEach(() => {
+        let items = new Map();
+        storage = {
+            getItem: (key) => items.get(key) ?? null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key),
+        };
+    });
+
+    test("save and restore", async () => {
+        const data1 = store({ a: 1, b: { c: 2 } });
+
+        const p1 = persist(data1, { key: "test", storage, debounce: 0 });
+
+        data1.a = 10;
+        data1.b.c = 20;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        p1.destroy();
+
+        assert.deepStrictEqual(JSON.parse(storage.getItem("test")), {
+            version: 0,
+            data: { a: 10, b: { c: 20 } },
+        });
+
+        const data2 = store({ a: 1, b: { c: 2 } });
+
+        persist(data2, { key: "test", storage }).destroy();
+
+        assert.strictEqual(data2.a, 10, "a");
+        assert.strictEqual(data2.b.c, 20, "b.c");
+    });
+
+    test("destroy with pending write", async () => {
+        const data = store({ a: 1, b: 1 });
+
+        const p = persist(data, { key: "test", storage, debounce: 1000 });
+
+        // flushed but still debounced
+        data.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        p.destroy();
+
+        assert.deepStrictEqual(JSON.parse(storage.getItem("test")).data, { a: 2, b: 1 });
+
+        const p2 = persist(data, { key: "test", storage, debounce: 1000 });
+
+        // not flushed yet
+        data.b = 2;
+
+        p2.destroy();
+
+        assert.deepStrictEqual(JSON.parse(storage.getItem("test")).data, { a: 2, b: 2 });
+
+        // no pending changes
+        storage.removeItem("test");
+
+        persist(data, { key: "test", storage, debounce: 1000 }).destroy();
+
+        assert.strictEqual(storage.getItem("test"), null);
+    });
+
+    test("debounced writes", async () => {
+        const data = store({ a: 1 });
+
+        let writes = 0;
+        let setItem = storage.setItem;
+        storage.setItem = (key, value) => {
+            writes++;
+            setItem(key, value);
+        };
+
+        const p = persist(data, { key: "test", storage, debounce: 10 });
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        p.destroy();
+
+        assert.strictEqual(writes, 1, "writes");
+        assert.strictEqual(JSON.parse(storage.getItem("test")).data.a, 4, "a");
+    });
+
+    test("selected paths", async () => {
+        const data = store({ a: 1, b: { c: 2, d: 3 }, e: 4 });
+
+        const p = persist(data, { key: "test", storage, paths: ["a", "b/c"] });
+
+        data.a = 10;
+        data.b.c = 20;
+        data.b.d = 30;
+        data.e = 40;
+        p.save();
+        p.destroy();
+
+        assert.deepStrictEqual(JSON.parse(storage.getItem("test")).data, {
+            a: 10,
+            b: { c: 20 },
+        });
+    });
+
+    test("no writes for unrelated changes", async () => {
+        const data = store({ a: 1, b: 2 });
+
+        const p = persist(data, { key: "test", storage, paths: ["a"], debounce: 0 });
+
+        data.b = 20;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        p.destroy();
+
+        assert.strictEqual(storage.getItem("test"), null);
+    });
+
+    test("preserve getters on restore", async () => {
+        storage.setItem(
+            "test",
+            JSON.stringify({ version: 0, data: { user: { name: "b", upper: "X" } } }),
+        );
+
+        const data = store({
+            user: {
+                name: "a",
+                get upper() {
+                    return this.name.toUpperCase();
+                },
+            },
+        });
+
+        persist(data, { key: "test", storage }).destroy();
+
+        assert.strictEqual(data.user.name, "b", "name");
+        assert.strictEqual(data.user.upper, "B", "upper");
+    });
+
+    test("function migrate", async () => {
+        storage.setItem("test", JSON.stringify({ version: 1, data: { name: "old" } }));
+
+        const data = store({ title: "" });
+
+        let args;
+
+        persist(data, {
+            key: "test",
+            storage,
+            version: 2,
+            migrate: (data, oldVersion) => {
+                args = [data, oldVersion];
+                return { title: data.name };
+            },
+        }).destroy();
+
+        assert.deepStrictEqual(args, [{ name: "old" }, 1], "args");
+        assert.strictEqual(data.title, "old", "title");
+    });
+
+    test("versioned migrate", async () => {
+        storage.setItem("test", JSON.stringify({ version: 1, data: { a: 1 } }));
+
+        const data = store({ a: 0 });
+
+        let calls = [];
+
+        persist(data, {
+            key: "test",
+            storage,
+            version: 3,
+            migrate: {
+                1: (data) => {
+                    calls.push(1);
+                    return data;
+                },
+                2: (data) => {
+                    calls.push(2);
+                    return { a: data.a + 1 };
+                },
+                3: (data) => {
+                    calls.push(3);
+                    return { a: data.a * 10 };
+                },
+                4: (data) => {
+                    calls.push(4);
+                    return data;
+                },
+            },
+        }).destroy();
+
+        assert.deepStrictEqual(calls, [2, 3], "calls");
+        assert.strictEqual(data.a, 20, "a");
+    });
+
+    test("invalid stored data", async () => {
+        storage.setItem("test", "{invalid");
+
+        const data = store({ a: 1 });
+
+        const originalWarn = console.warn;
+        let warnings = 0;
+        console.warn = () => warnings++;
+
+        try {
+            persist(data, { key: "test", storage }).destroy();
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.strictEqual(warnings, 1, "warnings");
+        assert.strictEqual(data.a, 1, "a");
+    });
+
+    test("clear", async () => {
+        const data = store({ a: 1 });
+
+        const p = persist(data, { key: "test", storage });
+        p.save();
+
+        assert.notStrictEqual(storage.getItem("test"), null, "[before]");
+
+        p.clear();
+        p.destroy();
+
+        assert.strictEqual(storage.getItem("test"), null, "[after]");
+    });
+});
+
+describe("syncTabs", () => {
+    // in-process BroadcastChannel-like fake
+    function createChannels(total) {
+        let channels = [];
+
+        for (let i = 0; i < total; i++) {
+            let listeners = new Set();
+            channels.push({
+                listeners: listeners,
+                addEventListener: (_, fn) => listeners.add(fn),
+                removeEventListener: (_, fn) => listeners.delete(fn),
+                postMessage(msg) {
+                    for (let ch of channels) {
+                        if (ch !== this) {
+                            let data = structuredClone(msg);
+                            setTimeout(
+                                () => ch.listeners.forEach((fn) => fn({ data })),
+                                0,
+                            );
+                        }
+                    }
+                },
+            });
+        }
+
+        return channels;
+    }
+
+    test("broadcast and apply changes", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ user: { name: "a", tags: [] }, theme: "light" });
+        const data2 = store({ user: { name: "a", tags: [] }, theme: "light" });
+
+        const stop1 = syncTabs(data1, { channel: ch1 });
+        const stop2 = syncTabs(data2, { channel: ch2 });
+
+        data1.user.name = "b";
+        data1.user.tags.push("x");
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        data2.theme = "dark";
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+        stop2();
+
+        assert.deepStrictEqual(toRaw(data1), {
+            user: { name: "b", tags: ["x"] },
+            theme: "dark",
+        });
+        assert.deepStrictEqual(toRaw(data2), {
+            user: { name: "b", tags: ["x"] },
+            theme: "dark",
+        });
+    });
+
+    test("selected paths", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ user: { name: "a", draft: "" }, counter: 0 });
+        const data2 = store({ user: { name: "a", draft: "" }, counter: 0 });
+
+        const stop1 = syncTabs(data1, { channel: ch1, paths: ["user/name", "counter"] });
+        const stop2 = syncTabs(data2, { channel: ch2, paths: ["user/name"] });
+
+        data1.user.name = "b";
+        data1.user.draft = "test";
+        data1.counter = 1;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+        stop2();
+
+        assert.strictEqual(data2.user.name, "b", "name");
+        assert.strictEqual(data2.user.draft, "", "draft");
+        assert.strictEqual(data2.counter, 0, "counter");
+    });
+
+    test("no echo of the applied changes", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ a: 0 });
+        const data2 = store({ a: 0 });
+
+        let posts = 0;
+        let postMessage = ch2.postMessage;
+        ch2.postMessage = function (msg) {
+            posts++;
+            postMessage.call(this, msg);
+        };
+
+        const stop1 = syncTabs(data1, { channel: ch1 });
+        const stop2 = syncTabs(data2, { channel: ch2 });
+
+        data1.a = 1;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+        stop2();
+
+        assert.strictEqual(data2.a, 1, "a");
+        assert.strictEqual(posts, 0, "posts");
+    });
+
+    test("last writer wins", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ a: 0 });
+        const data2 = store({ a: 0 });
+
+        const stop1 = syncTabs(data1, { channel: ch1 });
+        const stop2 = syncTabs(data2, { channel: ch2 });
+
+        // concurrent changes (the messages are delivered after both of them)
+        data1.a = 1;
+        data2.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+        stop2();
+
+        assert.strictEqual(data1.a, data2.a, "converged");
+    });
+
+    test("ignore stale changes", async () => {
+        const [ch1] = createChannels(1);
+
+        const data = store({ a: 0 });
+
+        const stop = syncTabs(data, { channel: ch1 });
+
+        data.a = 1;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        ch1.listeners.forEach((fn) => {
+            fn({ data: { tab: "other", time: 1, values: [["a", 2]] } });
+        });
+
+        stop();
+
+        assert.strictEqual(data.a, 1);
+    });
+
+    test("preserve getters and prune deleted props", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ user: { first: "a", last: "b" } });
+        const data2 = store({
+            user: {
+                first: "a",
+                last: "b",
+                get full() {
+                    return this.first + " " + this.last;
+                },
+            },
+        });
+
+        const stop1 = syncTabs(data1, { channel: ch1 });
+        const stop2 = syncTabs(data2, { channel: ch2 });
+
+        data1.user.first = "c";
+        delete data1.user.last;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+        stop2();
+
+        assert.strictEqual(data2.user.first, "c", "first");
+        assert.strictEqual("last" in data2.user, false, "last");
+        assert.strictEqual(data2.user.full, "c undefined", "full");
+    });
+
+    test("stop", async () => {
+        const [ch1, ch2] = createChannels(2);
+
+        const data1 = store({ a: 0 });
+        const data2 = store({ a: 0 });
+
+        const stop1 = syncTabs(data1, { channel: ch1 });
+        const stop2 = syncTabs(data2, { channel: ch2 });
+
+        stop2();
+
+        data1.a = 1;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        stop1();
+
+        assert.strictEqual(data2.a, 0);
+        assert.strictEqual(ch2.listeners.size, 0, "listeners");
+    });
+});
+
+describe("runtime", () => {
+    test("addons in the store runtime", async () => {
+        let items = new Map();
+        const storage = {
+            getItem: (key) => items.get(key) ?? null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key),
+        };
+
+        const app = createRuntime();
+
+        const data = app.store({ a: 1 });
+
+        persist(data, { key: "test", storage, debounce: 0 });
+
+        const h = history(data);
+
+        let appIds = app.inspect().map((w) => w.id);
+
+        assert.strictEqual(appIds.length, 1, "app watchers");
+        assert(!inspect().some((w) => appIds.includes(w.id)), "default watchers");
+
+        // the pending changes of the app runtime are recorded before undo
+        data.a = 2;
+        h.undo();
+
+        assert.strictEqual(data.a, 1, "undo");
+
+        app.destroy();
+
+        data.a = 3;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.notStrictEqual(
+            JSON.parse(storage.getItem("test"))?.data.a,
+            3,
+            "persisted",
+        );
+    });
+});
@@ -1,9 +1,14 @@
 let activeWatcher;
+let untrackedParent;
+let activeScope;
+let runningWatcher;
 
-let flushQueue = new Set();
-let allWatchers = new Map();
-let toRemove = [];
-let cleanTimeoutId;
+// the runtimes with registered watchers (see createRuntime)
+let runtimes = new Set();
+let lastWatcherId = 0;
+
+// the currently active runtime (see createRuntime)
+let rt = newRuntime();
 
 let idSym = Symbol();
 let parentSym = Symbol();
@@ -15,8 +20,56 @@ let skipSym = Symbol();
 let trackedFuncSym = Symbol();
 let optUntrackedFuncSym = Symbol();
 let oldValSym = Symbol();
+let descriptorsSym = Symbol();
+let rawSym = Symbol();
+let ctxSym = Symbol();
+let targetSym = Symbol();
+let keySym = Symbol();
+let isNewKeySym = Symbol();
+let sourceSym = Symbol();
+let readonlySym = Symbol();
+let disposersSym = Symbol();
+let cleanupsSym = Symbol();
+let optionsSym = Symbol();
+let lastRunSym = Symbol();
+let cancelScheduledSym = Symbol();
+let runsSym = Symbol();
+let triggerSym = Symbol();
+let pathSym = Symbol();
+let runtimeSym = Symbol();
+
+let changeSource = null;
 
 let pathSeparator = "/";
+let rootDeepPath = "**";
+let deepSuffix = pathSeparator + rootDeepPath;
+
+// special path segment used to track the object keys and collections iteration
+let keysProp = "@@keys";
+
+// original object -> store Proxy
+let proxies = new WeakMap();
+
+let arrayMutators = new Set([
+    "copyWithin",
+    "fill",
+    "pop",
+    "push",
+    "reverse",
+    "shift",
+    "sort",
+    "splice",
+    "unshift",
+]);
+
+let collectionMutators = new Set(["add", "set", "delete", "clear"]);
+
+let readonlyProxies = new WeakMap();
+
+let markedRaw = new WeakSet();
+
+let objKeyIds = new WeakMap();
+let lastObjKeyId = 0;
 
 /**
  * Watch registers a callback function that fires on initialization and
@@ -66,34 +119,85 @@ let pathSeparator = "/";
  * data.c++ // doesn't trigger watch update
  * ```
  *
+ * The watcher updates are by default batched and executed in a microtask.
+ * This could be changed with the optional `options` argument:
+ * - `flush` - "microtask" (default), "sync" (execute immediately on change or
+ *     at the end of the current `batch` call) or "frame" (execute in the next animation frame)
+ * - `debounce` - execute the watcher only after the specified ms have elapsed since the last change
+ * - `throttle` - execute the watcher at most once per the specified ms
+ * - `immediate` - set to false to skip the `optUntrackedFunc` call on initialization
+ *     (`trackedFunc` is always invoked in order to collect its dependencies)
+ * - `onTrack` - debug hook called with `{ watcher, path }` when a new store path is tracked
+ * - `onTrigger` - debug hook called with `{ watcher, path }` when a store path change schedules the watcher
+ *
+ * `debounce` and `throttle` take precedence over `flush`.
+ *
+ * The store getters and `computed` values used by a "sync" watcher are also updated
+ * synchronously. Sync watchers that keep triggering each other are stopped after
+ * `loopLimit` nested runs and the error is reported to the `onError` handler.
+ *
+ * ```js
+ * watch(() => data.search, (search) => {
+ *     console.log(search)
+ * }, { debounce: 300, immediate: false })
+ * ```
+ *
+ * The `options` argument could be also passed as second argument, e.g. `watch(fn, { flush: "sync" })`.
+ *
  * @param {Function} trackedFunc
  * @param {Function} [optUntrackedFunc]
+ * @param {Object} [options]
  * @return {{unwatch:Function, last:any, run:Function}}
  */
-export function watch(trackedFunc, optUntrackedFunc) {
+export function watch(trackedFunc, optUntrackedFunc, options) {
+    if (optUntrackedFunc && typeof optUntrackedFunc == "object") {
+        options = optUntrackedFunc;
+        optUntrackedFunc = undefined;
+    }
+
     let watcher = {
-        [idSym]: "_" + Math.random(),
+        [idSym]: "_" + ++lastWatcherId,
 
         // store reference to the functions for debugging purposes
         [trackedFuncSym]: trackedFunc,
         [optUntrackedFuncSym]: optUntrackedFunc,
+        [optionsSym]: options,
+        [runtimeSym]: rt,
     };
 
-    allWatchers.set(watcher[idSym], watcher);
+    let skipUntracked = options?.immediate === false;
+
+    rt.watchers.set(watcher[idSym], watcher);
+    runtimes.add(rt);
+
+    activeScope?.[disposersSym].add(() => watcher.unwatch());
 
     watcher.run = () => {
-        let oldActiveWatcher;
+        let oldActiveWatcher = activeWatcher;
+        let oldUntrackedParent = untrackedParent;
+        let oldRunningWatcher = runningWatcher;
+        let oldRuntime = rt;
+
+        // the nested watchers and stores belong to the watcher runtime
+        rt = watcher[runtimeSym];
+
+        runCleanups(watcher);
 
         // nested watcher -> register previous watcher as parent
-        if (activeWatcher) {
-            oldActiveWatcher = activeWatcher;
-            watcher[parentSym] = activeWatcher[idSym];
+        // (including when created inside an untrack call)
+        let parent = activeWatcher || untrackedParent;
+        if (parent) {
+            watcher[parentSym] = parent[idSym];
 
             // store immediate children references for quicker cleanup
-            activeWatcher[childrenSym] = activeWatcher[childrenSym] || [];
-            activeWatcher[childrenSym].push(watcher[idSym]);
+            parent[childrenSym] = parent[childrenSym] || [];
+            parent[childrenSym].push(watcher[idSym]);
         }
 
+        // reset because the nested watchers of this one will be registered
+        // with the activeWatcher reference
+        untrackedParent = null;
+
         // On watcher function run, resets any previous tracking paths
         // because after this new run some of the old dependencies
         // may no longer be reachable/evaluatable.
@@ -125,38 +229,56 @@ export function watch(trackedFunc, optUntrackedFunc) {
             subs.delete(watcher[idSym]);
         });
 
-        activeWatcher = watcher;
-        let result = watcher[trackedFuncSym](watcher[oldValSym], watcher);
+        watcher[runsSym] = (watcher[runsSym] || 0) + 1;
 
-        if (watcher[optUntrackedFuncSym]) {
-            activeWatcher = null;
-            watcher[optUntrackedFuncSym](result, watcher[oldValSym], watcher);
-        }
+        try {
+            activeWatcher = watcher;
+            runningWatcher = watcher;
+            let result = watcher[trackedFuncSym](watcher[oldValSym], watcher);
+
+            if (watcher[optUntrackedFuncSym] && !skipUntracked) {
+                activeWatcher = null;
+                watcher[optUntrackedFuncSym](result, watcher[oldValSym], watcher);
+            }
 
-        watcher[oldValSym] = result;
+            watcher[oldValSym] = result;
+        } finally {
+            watcher[lastRunSym] = Date.now();
+            skipUntracked = false;
 
-        // restore original ref (if any)
-        activeWatcher = oldActiveWatcher;
+            // restore original refs (if any)
+            activeWatcher = oldActiveWatcher;
+            untrackedParent = oldUntrackedParent;
+            runningWatcher = oldRunningWatcher;
+            rt = oldRuntime;
+        }
     };
 
     watcher.unwatch = function () {
         watcher[unwatchedSym] = 1;
 
-        toRemove.push(watcher[idSym]);
+        let runtime = watcher[runtimeSym];
+
+        if (runtime.config.cleanupDelay <= 0) {
+            removeWatcher(watcher[idSym]);
+            return;
+        }
+
+        runtime.toRemove.push(watcher[idSym]);
 
-        if (cleanTimeoutId) {
-            clearTimeout(cleanTimeoutId);
+        if (runtime.cleanTimeoutId) {
+            clearTimeout(runtime.cleanTimeoutId);
         }
 
         // note: debounced and executed as separate task to minimize blocking unmount rendering
-        cleanTimeoutId = setTimeout(() => {
-            for (let id of toRemove) {
+        runtime.cleanTimeoutId = setTimeout(() => {
+            for (let id of runtime.toRemove) {
                 removeWatcher(id);
             }
 
-            toRemove = [];
-            cleanTimeoutId = null;
-        }, 50);
+            runtime.toRemove = [];
+            runtime.cleanTimeoutId = null;
+        }, runtime.config.cleanupDelay);
     };
 
     watcher.run();
@@ -164,282 +286,2792 @@ export function watch(trackedFunc, optUntrackedFunc) {
     return watcher;
 }
 
-function removeWatcher(id) {
-    let w = allWatchers.get(id);
+/**
+ * WatchPath registers a callback function that fires every time when
+ * the value at the specified store path changes.
+ *
+ * The callback is invoked with the new and old path values.
+ *
+ * `options` could contain any of the `watch` options and:
+ * - `deep` - fire for any change at or below the path (including array index shifts,
+ *     deletions, `Map`/`Set` changes, etc.) without having to evaluate every nested value;
+ *     note that for nested mutations the new and old values are the same object
+ * - `immediate` - invoke the callback also on initialization (default to false)
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ user: { name: "John", tags: [] } })
+ *
+ * watchPath(data, "user/name", (newName, oldName) => {
+ *     console.log(oldName, "->", newName)
+ * })
+ *
+ * watchPath(data, "user", (user) => {
+ *     console.log("user changed")
+ * }, { deep: true })
+ *
+ * data.user.name = "Jane"  // fire both
+ * data.user.tags.push("a") // fire only the deep one
+ * ```
+ *
+ * @param  {Object} data
+ * @param  {string} path
+ * @param  {Function} callback
+ * @param  {Object} [options]
+ * @return {{unwatch:Function, last:any, run:Function}}
+ */
+export function watchPath(data, path, callback, options = {}) {
+    let ctx = data?.[ctxSym];
+    if (!ctx) {
+        throw new Error("watchPath: the first argument must be a store object");
+    }
 
-    w?.[onRemoveSym]?.();
+    let segments = path ? path.split(pathSeparator) : [];
 
-    if (w?.[childrenSym]) {
-        for (let childId of w[childrenSym]) {
-            removeWatcher(childId);
+    let deepPath;
+    if (options.deep) {
+        // the path of a nested store child is relative to it
+        let parentData = unwrap(data)[parentSym];
+        let fullPath = parentData ? getPath(unwrap(parentData[0]), parentData[1]) : "";
+        if (path) {
+            fullPath = fullPath ? fullPath + pathSeparator + path : path;
         }
-        w[parentSym] = null;
-        w[childrenSym] = null;
-    }
 
-    if (w?.[pathsSubsSym]) {
-        for (let sub of w[pathsSubsSym]) {
-            sub.delete(id);
-        }
-        w[pathsSubsSym] = null;
+        deepPath = fullPath ? fullPath + deepSuffix : rootDeepPath;
+
+        ctx.hasDeepWatchers = true;
     }
 
-    allWatchers.delete(id);
-}
+    return watch(
+        () => {
+            // resolving the value tracks also its ancestors
+            let value = getByPath(data, segments);
 
-// -------------------------------------------------------------------
+            if (deepPath) {
+                trackPath(deepPath, ctx);
+            }
+
+            return value;
+        },
+        (value, oldValue) => {
+            if (options.deep || value !== oldValue) {
+                callback(value, oldValue);
+            }
+        },
+        { ...options, immediate: !!options.immediate },
+    );
+}
 
 /**
- * Creates a new deeply reactive store object that triggers `watch`
- * update on change of a specific watched store property.
+ * WatchAsync is similar to `watch` but for async functions.
+ *
+ * `trackedFunc` is invoked with an `AbortSignal` that is aborted
+ * when its dependencies change (aka. before the next run) or when the watcher is unwatched.
+ * The results of aborted runs are ignored.
+ *
+ * The optional `optUntrackedFunc` is invoked with the resolved value of
+ * each non-aborted `trackedFunc` run.
+ *
+ * Note that only the store props evaluated before the first `await` are tracked.
  *
  * Example:
  *
  * ```js
- * const data = store({ count: 0, name: "test" })
- *
- * watch(() => console.log(data.count)) // should fire twice: 0 (initial), 1 (on increment)
+ * const data = store({ query: "", items: [] })
  *
- * data.count++
- * ```
+ * watchAsync(async (signal) => {
+ *     const url = "/api/items?q=" + data.query // tracked
  *
- * Getters are also supported out of the box and they are invoked every
- * time when any of their dependencies change.
- * If a getter is used in a reactive function, its resulting value is cached,
- * aka. if the final value hasn't changed it will not trigger an unnecessary reactive update.
+ *     const resp = await fetch(url, { signal })
  *
- * Multiple changes from one or many stores are also automatically batched in a microtask.
+ *     return resp.json()
+ * }, (items) => {
+ *     data.items = items
+ * })
+ * ```
  *
- * @param  {Object} obj
- * @return {Object} Proxied object.
+ * @param {Function} trackedFunc
+ * @param {Function} [optUntrackedFunc]
+ * @return {{unwatch:Function, last:any, run:Function}}
  */
-export function store(obj) {
-    let pathWatcherIds = new Map();
-
-    return createProxy(obj, pathWatcherIds);
-}
-
-function createProxy(obj, pathWatcherIds) {
-    // extract props info to identify getters
-    let descriptors =
-        typeof obj == "object" && !Array.isArray(obj)
-            ? Object.getOwnPropertyDescriptors(obj)
-            : {};
-
-    return new Proxy(obj, {
-        get(obj, prop, receiver) {
-            if (typeof prop == "symbol") {
-                return obj[prop];
-            }
+export function watchAsync(trackedFunc, optUntrackedFunc) {
+    let controller;
 
-            if (prop == "__raw") {
-                return obj;
-            }
-
-            // getter?
-            if (
-                descriptors[prop]?.get &&
-                // for now disallow nested child getters to avoid excessive watch creation
-                !obj[parentSym]
-            ) {
-                let originalProp = prop;
+    let watcher = watch((_, w) => {
+        let currentController = new AbortController();
+        controller = currentController;
 
-                // replace with an internal property so that reactive statements can be cached
-                prop = "@@" + prop;
+        onCleanup(() => currentController.abort());
 
-                // if not invoked inside a watch function, call the original
-                // getter to ensure that an up-to-date value is computed
-                if (!activeWatcher) {
-                    let value = descriptors[originalProp].get.call(obj);
+        let signal = currentController.signal;
 
-                    // manually sync with the local value if defined already
-                    if (descriptors[originalProp]._watcher) {
-                        receiver[prop] = value;
+        return Promise.resolve(trackedFunc(signal, w)).then(
+            (result) => {
+                if (!signal.aborted && optUntrackedFunc) {
+                    try {
+                        withRuntime(w[runtimeSym], () => optUntrackedFunc(result, w));
+                    } catch (err) {
+                        reportError(err, w);
                     }
-
-                    return value;
                 }
+                return result;
+            },
+            (err) => {
+                if (!signal.aborted) {
+                    reportError(err, w);
+                }
+            },
+        );
+    });
 
-                let activeWatcherId = activeWatcher[idSym];
-
-                // keep track of the getter references and remove it when there are no other watchers
-                descriptors[originalProp]._refs =
-                    descriptors[originalProp]._refs || new Set();
-                if (!descriptors[originalProp]._refs.has(activeWatcherId)) {
-                    descriptors[originalProp]._refs.add(activeWatcherId);
+    let unwatch = watcher.unwatch;
 
-                    let oldOnRemoveFunc = activeWatcher[onRemoveSym];
-                    activeWatcher[onRemoveSym] = () => {
-                        oldOnRemoveFunc?.();
+    // abort immediately without waiting for the watcher removal
+    watcher.unwatch = () => {
+        controller.abort();
+        unwatch();
+    };
 
-                        descriptors[originalProp]._refs.delete(activeWatcherId);
-                        if (
-                            !descriptors[originalProp]._refs.size &&
-                            descriptors[originalProp]._watcher
-                        ) {
-                            removeWatcher(descriptors[originalProp]._watcher[idSym]);
-                        }
-                    };
-                }
+    return watcher;
+}
 
-                // register an extra watcher to update the cached getter prop
-                if (!descriptors[originalProp]._watcher) {
-                    // temporary clear previous active watcher to ensure
-                    // that the getter watcher will be registered as a top-level one
-                    let oldActiveWatcher = activeWatcher;
-                    activeWatcher = null;
+/**
+ * Resource creates a reactive async data loader that (re)fetches every time
+ * when the reactive `source` function result changes.
+ *
+ * `fetcher` is invoked with the `source` result and an object with
+ * `signal` (`AbortSignal` that is aborted when the request is superseded).
+ * If `source` returns `null`, `undefined` or `false`, the fetch is skipped.
+ * The `source` argument could be also omitted, e.g. `resource(fetcher)`.
+ *
+ * The returned value is a function that returns the loaded data
+ * (so that it can be used as reactive template child) with the following props:
+ * - `loading` - reactive loading state
+ * - `error` - reactive error of the last failed fetch
+ * - `data` - reactive loaded data
+ * - `refetch()` - reruns the fetcher with the current source
+ *     (returns a promise that resolves when the fetch completes)
+ * - `mutate(value)` - manually replaces the loaded data (e.g. for optimistic updates)
+ * - `unwatch()` - stops the source watcher and cancels the pending fetch
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ userId: 1 })
+ *
+ * const user = resource(() => data.userId, async (id, { signal }) => {
+ *     const resp = await fetch("/api/users/" + id, { signal })
+ *     return resp.json()
+ * })
+ *
+ * t.div({},
+ *     () => user.loading ? "Loading..." : null,
+ *     () => user.error ? "Failed to load user" : null,
+ *     () => user.data?.name,
+ * )
+ * ```
+ *
+ * @param  {Function} source
+ * @param  {Function} [fetcher]
+ * @return {Function}
+ */
+export function resource(source, fetcher) {
+    if (!fetcher) {
+        fetcher = source;
+        source = () => true;
+    }
 
-                    let getWatcher = watch(
-                        descriptors[originalProp].get.bind(obj),
-                        (result) => {
-                            if (!obj.hasOwnProperty(prop)) {
-                                Object.defineProperty(obj, prop, {
-                                    writable: true,
-                                    enumerable: false,
-                                    value: result,
-                                });
-                            } else {
-                                receiver[prop] = result;
-                            }
-                        },
-                    );
+    let state = store({
+        loading: false,
+        error: null,
+        data: undefined,
+    });
 
-                    descriptors[originalProp]._watcher = getWatcher;
+    let watcher = watchAsync(async (signal) => {
+        let value = source();
+        if (value == null || value === false) {
+            state.loading = false;
+            return;
+        }
 
-                    getWatcher[onRemoveSym] = () => {
-                        descriptors[originalProp]._watcher = null;
-                    };
+        state.loading = true;
+        state.error = null;
 
-                    activeWatcher = oldActiveWatcher;
-                }
+        try {
+            let data = await untrack(() => fetcher(value, { signal }));
+            if (!signal.aborted) {
+                state.data = data;
             }
-
-            let propVal = obj?.[prop];
-
-            // directly return for functions (pop, push, etc.)
-            if (typeof propVal == "function") {
-                return propVal;
+        } catch (err) {
+            if (!signal.aborted) {
+                state.error = err;
             }
-
-            // wrap child plain object or array as sub store
-            if (
-                propVal != null &&
-                typeof propVal == "object" &&
-                !propVal[parentSym] &&
-                (propVal.constructor?.name == "Object" ||
-                    propVal.constructor?.name == "Array" ||
-                    propVal.constructor?.name == undefined) // e.g. Object.create(null)
-            ) {
-                propVal[parentSym] = [receiver, prop];
-                propVal = createProxy(propVal, pathWatcherIds);
-                obj[prop] = propVal;
+        } finally {
+            if (!signal.aborted) {
+                state.loading = false;
             }
+        }
+    });
 
-            // register watch subscriber (if any)
-            if (activeWatcher) {
-                let currentPath = getPath(obj, prop);
-                let activeWatcherId = activeWatcher[idSym];
+    let r = () => state.data;
 
-                let propPaths = [currentPath];
+    Object.defineProperties(r, {
+        loading: { get: () => state.loading },
+        error: { get: () => state.error },
+        data: { get: () => state.data },
+    });
 
-                // initialize a watcher paths tracking set (if not already)
-                activeWatcher[pathsSubsSym] = activeWatcher[pathsSubsSym] || new Set();
+    // note: run with cleared tracking context to prevent registering
+    // the resource watcher as child of the caller (e.g. template binding)
+    r.refetch = () => {
+        if (!watcher[unwatchedSym]) {
+            runDetached(() => safeRun(watcher));
+        }
 
-                // register the paths to watch
-                for (let path of propPaths) {
-                    let subs = pathWatcherIds.get(path);
-                    if (!subs) {
-                        subs = new Set();
-                        pathWatcherIds.set(path, subs);
-                    }
+        // the pending fetch promise
+        return watcher[oldValSym];
+    };
 
-                    subs.add(activeWatcherId);
+    r.mutate = (value) => {
+        state.data = value;
+    };
 
-                    activeWatcher[pathsSubsSym].add(subs);
-                }
-            }
+    r.unwatch = () => {
+        watcher.unwatch();
+        state.loading = false;
+    };
 
-            return propVal;
-        },
-        set(obj, prop, value) {
-            if (typeof prop == "symbol") {
-                obj[prop] = value;
-                return true;
-            }
+    return r;
+}
 
-            let oldValue = obj[prop];
+function removeWatcher(id) {
+    let w = getWatcher(id);
 
-            // update the stored parent reference in case of index change
-            // (e.g. unshift, splice, etc.)
-            if (
-                value?.[parentSym] &&
-                Array.isArray(obj) &&
-                !isNaN(prop) &&
-                value[parentSym][1] != prop
-            ) {
-                // reassign old watchers to the new index
-                let oldPath = getPath(obj, value[parentSym][1]);
-                let newPath = getPath(obj, prop);
-                for (let item of pathWatcherIds) {
-                    if (
-                        // exact match
-                        item[0] == oldPath ||
-                        // child path
-                        item[0].startsWith(oldPath + pathSeparator)
-                    ) {
-                        pathWatcherIds.delete(item[0]);
-                        pathWatcherIds.set(item[0].replace(oldPath, newPath), item[1]);
-                    }
-                }
+    if (w) {
+        w[cancelScheduledSym]?.();
+        runCleanups(w);
+    }
 
-                // set new index ref
-                value[parentSym][1] = prop;
-            }
+    w?.[onRemoveSym]?.();
 
-            // manually fire toJSON in case a dynamic property is defined
-            // in order to trigger `JSON.stringify(data.someObject)` watchers
-            // usually used in PocketBase for change detection
-            // (the stringify results in paths such as ["someObject", "someObject/toJSON", "someObject/existingProp", ...])
-            let fireToJSON = false;
-            if (typeof oldValue == "undefined" && !obj.hasOwnProperty(prop)) {
-                fireToJSON = true;
-            }
+    if (w?.[childrenSym]) {
+        for (let childId of w[childrenSym]) {
+            removeWatcher(childId);
+        }
+        w[parentSym] = null;
+        w[childrenSym] = null;
+    }
 
-            obj[prop] = value;
+    if (w?.[pathsSubsSym]) {
+        for (let sub of w[pathsSubsSym]) {
+            sub.delete(id);
+        }
+        w[pathsSubsSym] = null;
+    }
 
-            if (fireToJSON) {
-                callWatchers(obj, "toJSON", pathWatcherIds);
-            }
+    w?.[runtimeSym].watchers.delete(id);
+}
 
-            // trigger only on value change
-            // (exeption for length since the old value would have been already changed on access)
-            if (value !== oldValue || prop === "length") {
-                callWatchers(obj, prop, pathWatcherIds);
+// Returns the registered watcher with the specified id from any of the runtimes
+// (the stores could be watched by watchers from different runtimes).
+function getWatcher(id) {
+    for (let runtime of runtimes) {
+        let w = runtime.watchers.get(id);
+        if (w) {
+            return w;
+        }
+    }
+}
+
+function runCleanups(watcher) {
+    let cleanups = watcher[cleanupsSym];
+    if (!cleanups) {
+        return;
+    }
+
+    watcher[cleanupsSym] = null;
+
+    // isolate the failing cleanups so that the others (and the watcher run) are not skipped
+    for (let fn of cleanups) {
+        try {
+            fn();
+        } catch (err) {
+            reportError(err, watcher);
+        }
+    }
+}
+
+/**
+ * OnCleanup registers a function that is called before the next run
+ * of the current watcher and when the watcher is removed.
+ *
+ * It could be used in both the tracked and untracked watch functions
+ * to release resources like timers, event listeners, pending requests, etc.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ delay: 1000, ticks: 0 })
+ *
+ * watch(() => {
+ *     const id = setInterval(() => data.ticks++, data.delay)
+ *
+ *     onCleanup(() => clearInterval(id))
+ * })
+ *
+ * data.delay = 500 // clears the previous interval and starts a new one
+ * ```
+ *
+ * @param {Function} fn
+ */
+export function onCleanup(fn) {
+    if (!runningWatcher) {
+        warn("onCleanup must be called inside a watch function");
+        return;
+    }
+
+    runningWatcher[cleanupsSym] = runningWatcher[cleanupsSym] || [];
+    runningWatcher[cleanupsSym].push(fn);
+}
+
+/**
+ * Configure changes the reactivity engine settings of the current runtime
+ * (see also `createRuntime`).
+ *
+ * `options` is an object with any of the following fields:
+ * - `cleanupDelay` - the delay in ms of the debounced watchers removal after `unwatch()` (default to 50);
+ *     set to 0 to remove the watchers synchronously (e.g. for deterministic tests)
+ * - `loopLimit` - the max runs of a single watcher during one flush before reporting
+ *     a possible infinite loop (default to 250)
+ * - `onWarn` - custom warnings handler (default to `console.warn`)
+ * - `onError` - custom watchers error handler (see `onError`)
+ * - `devMode` - enables the debug information about the watchers triggers and
+ *     the `onTrack` and `onTrigger` hooks (default to true)
+ *
+ * It returns the previous values of the changed settings.
+ *
+ * Example:
+ *
+ * ```js
+ * const prev = configure({ cleanupDelay: 0, onWarn: (...args) => logger.warn(...args) })
+ *
+ * // restore
+ * configure(prev)
+ * ```
+ *
+ * @param  {Object} options
+ * @return {Object}
+ */
+export function configure(options) {
+    let prev = {};
+
+    for (let key in options) {
+        if (!Object.hasOwn(rt.config, key)) {
+            warn("configure: unknown option " + key);
+            continue;
+        }
+
+        prev[key] = rt.config[key];
+        rt.config[key] = options[key];
+    }
+
+    return prev;
+}
+
+/**
+ * CreateRuntime creates a new isolated reactive runtime with its own
+ * watchers scheduler, settings and error handling.
+ *
+ * It could be used to run multiple independent apps (or plugin sandboxes)
+ * on the same page or to reset the reactive state between tests.
+ *
+ * The returned object has the same `store`, `shallowStore`, `computed`, `watch`,
+ * `watchAsync`, `watchPath`, `resource`, `untrack`, `scope`, `createScope`, `subscribe`,
+ * `batch`, `flush`, `nextTick`, `configure`, `onError` and `inspect` functions
+ * but bound to the new runtime and the following methods:
+ * - `run(fn)` - invokes fn with the runtime as active one (e.g. to create template elements
+ *     whose reactive bindings should belong to the runtime)
+ * - `destroy()` - removes all runtime watchers and pending updates
+ *
+ * Each runtime has its own watchers registry. Each store belongs to the runtime
+ * in which it was created and each watcher is scheduled by the runtime in which it was created.
+ * Any other function that creates watchers (e.g. `t`) must be called inside `run(fn)`.
+ * `history`, `persist` and `syncTabs` always work with the runtime of the specified store,
+ * so they don't need to be bound.
+ * The template elements capture the runtime on creation, so their reactive bindings
+ * belong to it even though they are registered later on mount.
+ *
+ * Example:
+ *
+ * ```js
+ * const app = createRuntime()
+ *
+ * const data = app.store({ count: 0 })
+ *
+ * app.watch(() => console.log(data.count))
+ *
+ * app.configure({ onError: (err) => console.log("app error:", err) })
+ *
+ * // later
+ * app.destroy()
+ * ```
+ *
+ * @return {Object}
+ */
+export function createRuntime() {
+    let runtime = newRuntime();
+
+    function bind(fn) {
+        return (...args) => withRuntime(runtime, () => fn(...args));
+    }
+
+    return {
+        store: bind(store),
+        shallowStore: bind(shallowStore),
+        computed: bind(computed),
+        watch: bind(watch),
+        watchAsync: bind(watchAsync),
+        watchPath: bind(watchPath),
+        resource: bind(resource),
+        untrack: bind(untrack),
+        scope: bind(scope),
+        createScope: bind(createScope),
+        subscribe: bind(subscribe),
+        batch: bind(batch),
+        flush: bind(flush),
+        nextTick: bind(nextTick),
+        configure: bind(configure),
+        onError: bind(onError),
+        inspect: bind(inspect),
+        run: bind((fn) => fn()),
+        destroy() {
+            for (let w of runtime.watchers.values()) {
+                w[unwatchedSym] = 1;
+                removeWatcher(w[idSym]);
+            }
+
+            runtimes.delete(runtime);
+
+            clearTimeout(runtime.cleanTimeoutId);
+            runtime.cleanTimeoutId = null;
+            runtime.toRemove = [];
+            runtime.flushQueue.clear();
+            runtime.pendingChanges.clear();
+        },
+    };
+}
+
+function newRuntime() {
+    return {
+        watchers: new Map(),
+        flushQueue: new Set(),
+        toRemove: [],
+        cleanTimeoutId: null,
+        batchDepth: 0,
+        syncDepth: 0,
+        isFlushScheduled: false,
+        isFlushing: false,
+        tickResolvers: [],
+        pendingChanges: new Set(),
+        config: {
+            cleanupDelay: 50,
+            loopLimit: 250,
+            onWarn: null,
+            onError: null,
+            devMode: true,
+        },
+    };
+}
+
+/**
+ * BindRuntime returns a function that invokes fn with the current
+ * active runtime (see `createRuntime`), regardless of the runtime
+ * that is active when it is called.
+ *
+ * It could be used to create watchers in a deferred callback
+ * (e.g. on mount or in an event handler) that should belong to the
+ * runtime in which the callback was defined.
+ *
+ * Example:
+ *
+ * ```js
+ * const app = createRuntime()
+ *
+ * const onMount = app.run(() => bindRuntime(() => watch(() => console.log(data.count))))
+ *
+ * onMount() // the watcher belongs to app
+ * ```
+ *
+ * @param  {Function} fn
+ * @return {Function}
+ */
+export function bindRuntime(fn) {
+    let runtime = rt;
+
+    return (...args) => withRuntime(runtime, () => fn(...args));
+}
+
+function withRuntime(runtime, fn) {
+    let oldRuntime = rt;
+
+    rt = runtime;
+
+    try {
+        return fn();
+    } finally {
+        rt = oldRuntime;
+    }
+}
+
+/**
+ * OnError registers a handler for the errors thrown by the watchers
+ * (including the async ones), by the `subscribe` callbacks and for the
+ * detected infinite update loops of the current runtime (see also `createRuntime`).
+ *
+ * By default the errors are logged with `console.error`.
+ * Either way, a failing watcher or subscriber doesn't prevent the execution
+ * of the other queued ones. For the subscriber errors the `watcher` argument is `undefined`.
+ *
+ * It returns a function that could be used to restore the default error handling.
+ *
+ * Example:
+ *
+ * ```js
+ * onError((err, watcher) => {
+ *     reportToServer(err)
+ * })
+ * ```
+ *
+ * @param  {Function} handler
+ * @return {Function}
+ */
+export function onError(handler) {
+    let config = rt.config;
+
+    config.onError = handler;
+
+    return () => {
+        if (config.onError === handler) {
+            config.onError = null;
+        }
+    };
+}
+
+/**
+ * Inspect returns debug information about the specified watcher
+ * or about all active watchers of the current runtime if called without argument.
+ *
+ * The debug information of each watcher has the following shape:
+ *
+ * ```js
+ * {
+ *     id: "_1",         // the watcher id
+ *     runs: 2,          // the number of watcher runs
+ *     paths: ["count"], // the currently tracked store paths
+ *     trigger: "count", // the store path whose change caused the last run (if any)
+ *     parent: null,     // the parent watcher id (if nested)
+ *     children: [],     // the nested watcher ids
+ *     trackedFunc: Function,
+ *     optUntrackedFunc: Function,
+ * }
+ * ```
+ *
+ * For more granular debugging you can also use the `onTrack` and `onTrigger` watch options:
+ *
+ * ```js
+ * watch(() => data.count, {
+ *     onTrack: (e) => console.log("tracked", e.path, e.watcher),
+ *     onTrigger: (e) => console.log("triggered by", e.path, e.watcher),
+ * })
+ * ```
+ *
+ * @param  {Object} [watcher]
+ * @return {Object|Array<Object>}
+ */
+export function inspect(watcher) {
+    if (watcher) {
+        return inspectWatcher(watcher);
+    }
+
+    let result = [];
+
+    for (let w of rt.watchers.values()) {
+        if (!w[unwatchedSym]) {
+            result.push(inspectWatcher(w));
+        }
+    }
+
+    return result;
+}
+
+function inspectWatcher(watcher) {
+    let paths = [];
+    watcher[pathsSubsSym]?.forEach((subs) => {
+        if (subs.has(watcher[idSym])) {
+            paths.push(subs[pathSym]);
+        }
+    });
+
+    return {
+        id: watcher[idSym],
+        runs: watcher[runsSym] || 0,
+        paths: paths,
+        trigger: watcher[triggerSym] || null,
+        parent: watcher[parentSym] || null,
+        children: watcher[childrenSym]?.slice() || [],
+        trackedFunc: watcher[trackedFuncSym],
+        optUntrackedFunc: watcher[optUntrackedFuncSym],
+    };
+}
+
+/**
+ * Untrack invokes the specified function and returns its result
+ * without registering any of the evaluated store props as
+ * dependency of the current watcher.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ count: 0, debug: false })
+ *
+ * watch(() => {
+ *     if (untrack(() => data.debug)) {
+ *         console.log(data.count)
+ *     }
+ * })
+ *
+ * data.count++ // triggers watch update
+ * data.debug = true // doesn't trigger watch update
+ * ```
+ *
+ * @param  {Function} fn
+ * @return {any} The result of fn.
+ */
+export function untrack(fn) {
+    let oldActiveWatcher = activeWatcher;
+    let oldUntrackedParent = untrackedParent;
+
+    // keep the current watcher reference so that the nested watchers
+    // created inside fn could be still unwatched together with it
+    untrackedParent = activeWatcher || untrackedParent;
+    activeWatcher = null;
+
+    try {
+        return fn();
+    } finally {
+        // restore original refs (if any)
+        activeWatcher = oldActiveWatcher;
+        untrackedParent = oldUntrackedParent;
+    }
+}
+
+// Runs fn with cleared tracking context so that the watchers executed
+// by it (e.g. on flush) are not registered as children of the current one.
+function runDetached(fn) {
+    let oldActiveWatcher = activeWatcher;
+    let oldUntrackedParent = untrackedParent;
+    let oldActiveScope = activeScope;
+
+    activeWatcher = null;
+    untrackedParent = null;
+    activeScope = null;
+
+    try {
+        return fn();
+    } finally {
+        // restore original refs (if any)
+        activeWatcher = oldActiveWatcher;
+        untrackedParent = oldUntrackedParent;
+        activeScope = oldActiveScope;
+    }
+}
+
+/**
+ * CreateScope creates a new scope that collects all watchers and computed values
+ * created while the scope is active (aka. inside `scope.run(fn)`)
+ * so that they can be disposed all at once with `scope.dispose()`.
+ *
+ * Scopes created inside another scope are disposed together with it.
+ *
+ * The getter watchers of the store objects are removed automatically
+ * when all of their dependent watchers are disposed.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ count: 0 })
+ *
+ * const s = createScope()
+ *
+ * s.run(() => {
+ *     watch(() => console.log(data.count))
+ *     watch(() => console.log(data.count * 2))
+ * })
+ *
+ * s.dispose() // unwatch both watchers
+ * ```
+ *
+ * @return {{run:Function, dispose:Function}}
+ */
+export function createScope() {
+    // the scope watchers belong to the runtime in which it was created
+    let runtime = rt;
+
+    let s = {
+        [disposersSym]: new Set(),
+        run(fn) {
+            let oldScope = activeScope;
+
+            activeScope = s;
+
+            try {
+                return withRuntime(runtime, fn);
+            } finally {
+                activeScope = oldScope;
+            }
+        },
+        dispose() {
+            for (let disposer of s[disposersSym]) {
+                disposer();
+            }
+            s[disposersSym].clear();
+        },
+    };
+
+    activeScope?.[disposersSym].add(() => s.dispose());
+
+    return s;
+}
+
+/**
+ * Scope is a shorthand for `createScope()` and `scope.run(fn)`.
+ *
+ * It returns the created scope.
+ *
+ * Example:
+ *
+ * ```js
+ * function todos() {
+ *     const s = scope(() => {
+ *         watch(() => console.log(data.todos.length))
+ *     })
+ *
+ *     return t.ul({ onunmount: () => s.dispose() }, ...)
+ * }
+ * ```
+ *
+ * @param  {Function} fn
+ * @return {{run:Function, dispose:Function}}
+ */
+export function scope(fn) {
+    let s = createScope();
+
+    s.run(fn);
+
+    return s;
+}
+
+// -------------------------------------------------------------------
+
+/**
+ * Flush synchronously runs all pending (aka. queued for the next microtask) watchers.
+ *
+ * Could be useful in tests or when you need to read the DOM immediately
+ * after a store change.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ count: 0 })
+ *
+ * const el = t.div({ textContent: () => data.count })
+ *
+ * data.count++
+ *
+ * flush()
+ *
+ * console.log(el.textContent) // "1"
+ * ```
+ */
+export function flush() {
+    flushRuntime(rt);
+}
+
+function flushRuntime(runtime) {
+    // already running (e.g. flush() called from a watcher)
+    // -> the outer loop will pick up the newly queued watchers
+    if (runtime.isFlushing) {
+        return;
+    }
+
+    runtime.isFlushing = true;
+
+    let oldRuntime = rt;
+    rt = runtime;
+
+    let calls = {};
+    let subscriberRounds = 0;
+
+    try {
+        // note: loop because the store subscribers could also trigger new changes
+        do {
+            let watcher;
+            for (let runId of runtime.flushQueue) {
+                watcher = runtime.watchers.get(runId);
+                if (!watcher || watcher[unwatchedSym]) {
+                    continue;
+                }
+
+                // if both parent and child watcher exists,
+                // execute only the parent because the child
+                // watchers will be invoked automatically
+                if (watcher[parentSym] && runtime.flushQueue.has(watcher[parentSym])) {
+                    continue;
+                }
+
+                calls[runId] = (calls[runId] || 0) + 1;
+
+                if (calls[runId] > runtime.config.loopLimit) {
+                    // prettier-ignore
+                    reportError(
+                        new Error(
+                            "Possible infinite loop for watcher " + runId + ":" +
+                            "\nwatch(" +
+                            watcher[trackedFuncSym]?.toString() +
+                            (watcher[optUntrackedFuncSym] ? ", " + watcher[optUntrackedFuncSym].toString() : "") +
+                            ")",
+                        ),
+                        watcher,
+                    );
+                    continue;
+                }
+
+                // the flushed watchers must not be registered as children
+                // of the flush caller (e.g. a watcher that calls batch)
+                runDetached(() => safeRun(watcher));
+            }
+
+            runtime.flushQueue.clear();
+
+            if (
+                runtime.pendingChanges.size &&
+                ++subscriberRounds > runtime.config.loopLimit
+            ) {
+                reportError(new Error("Possible infinite loop in the store subscribers"));
+
+                // discard the pending changes
+                for (let ctx of runtime.pendingChanges) {
+                    ctx.changes = [];
+                }
+                runtime.pendingChanges.clear();
+                break;
+            }
+
+            notifySubscribers(runtime);
+        } while (runtime.flushQueue.size || runtime.pendingChanges.size);
+    } finally {
+        // ensure that the queue is not stuck in case of unhandled error
+        runtime.flushQueue.clear();
+        runtime.isFlushing = false;
+        rt = oldRuntime;
+
+        let resolvers = runtime.tickResolvers;
+        runtime.tickResolvers = [];
+        for (let resolve of resolvers) {
+            resolve();
+        }
+    }
+}
+
+/**
+ * NextTick returns a promise that is resolved after the pending watchers flush.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ count: 0 })
+ *
+ * watch(() => console.log(data.count))
+ *
+ * data.count++
+ *
+ * await nextTick() // the watcher has already logged "1"
+ * ```
+ *
+ * @return {Promise<void>}
+ */
+export function nextTick() {
+    return new Promise((resolve) => {
+        rt.tickResolvers.push(resolve);
+
+        // ensure that the promise will be resolved even if there are no queued watchers
+        scheduleFlush(rt);
+    });
+}
+
+/**
+ * Batch invokes the specified function and defers the watchers flush
+ * until the function completes.
+ *
+ * If the function returns a Promise, the watchers flush is deferred
+ * until the Promise is settled, allowing to group store changes across awaits.
+ *
+ * Note that while a batch is active, the changes from any other
+ * store modifications are also deferred.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ items: [], loading: false })
+ *
+ * watch(() => console.log(data.loading, data.items.length))
+ *
+ * await batch(async () => {
+ *     data.loading = true
+ *     data.items = await fetchItems()
+ *     data.loading = false
+ * }) // the watcher is triggered only once after the batch completion
+ * ```
+ *
+ * @param  {Function} fn
+ * @return {any|Promise<any>} The result of fn.
+ */
+export function batch(fn) {
+    let runtime = rt;
+
+    runtime.batchDepth++;
+
+    let result;
+    try {
+        result = fn();
+    } finally {
+        if (typeof result?.then != "function") {
+            endBatch(runtime);
+        }
+    }
+
+    if (typeof result?.then == "function") {
+        return Promise.resolve(result).finally(() => endBatch(runtime));
+    }
+
+    return result;
+}
+
+function endBatch(runtime) {
+    runtime.batchDepth--;
+
+    if (!runtime.batchDepth) {
+        flushRuntime(runtime);
+    }
+}
+
+// -------------------------------------------------------------------
+
+/**
+ * Subscribe registers a callback function that receives the list of
+ * changes made to the specified store since the last watchers flush.
+ *
+ * Each change record has the following shape:
+ *
+ * ```js
+ * {
+ *     path: "a/b/c",   // the changed prop path
+ *     op: "set",       // "set", "delete" or "splice"
+ *     oldValue: any,   // the old value (for "splice" - the removed array items)
+ *     newValue: any,   // the new value (for "splice" - the inserted array items)
+ *     index: 0,        // the start index of the array change (only for "splice")
+ * }
+ * ```
+ *
+ * Note that the record values are the original (non-proxied) objects.
+ * If you need to keep them as they are, consider storing a copy with `snapshot(value)`.
+ *
+ * The changes made inside a callback are delivered with a separate follow-up call.
+ * Callbacks that keep changing the store on every call are stopped after
+ * `loopLimit` rounds and the error is reported to the `onError` handler.
+ *
+ * It returns a function that could be used to unsubscribe the registered callback.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ title: "", tags: [] })
+ *
+ * const unsubscribe = subscribe(data, (changes) => {
+ *     console.log(changes)
+ * })
+ *
+ * data.title = "test"
+ * data.tags.push("a", "b")
+ *
+ * // [
+ * //   { path: "title", op: "set", oldValue: "", newValue: "test" },
+ * //   { path: "tags", op: "splice", index: 0, oldValue: [], newValue: ["a", "b"] },
+ * // ]
+ * ```
+ *
+ * @param  {Object} store
+ * @param  {Function} callback
+ * @return {Function} Unsubscribe function.
+ */
+export function subscribe(store, callback) {
+    let ctx = store?.[ctxSym];
+    if (!ctx) {
+        throw new Error("subscribe: the first argument must be a store object");
+    }
+
+    ctx.subscribers.add(callback);
+
+    return () => {
+        ctx.subscribers.delete(callback);
+    };
+}
+
+function notifySubscribers(runtime) {
+    // note: the changes made by the subscribers are notified in the next flush loop round
+    let pending = Array.from(runtime.pendingChanges);
+    runtime.pendingChanges.clear();
+
+    for (let ctx of pending) {
+        let changes = ctx.changes;
+        ctx.changes = [];
+
+        for (let callback of ctx.subscribers) {
+            // isolate the failing subscribers so that the others are still notified
+            try {
+                callback(changes);
+            } catch (err) {
+                reportError(err);
+            }
+        }
+    }
+}
+
+// Returns the value at the specified path segments.
+//
+// @internal (used by the addons module)
+export function getByPath(obj, segments) {
+    for (let segment of segments) {
+        obj = obj?.[segment];
+    }
+
+    return obj;
+}
+
+// Assigns value to obj[prop].
+//
+// Existing plain objects are merged recursively in order to preserve
+// their store getters (if any). With prune the existing props that are
+// missing in value are deleted.
+//
+// @internal (used by the addons module)
+export function mergeValue(obj, prop, value, prune = false) {
+    let current = obj[prop];
+
+    if (isPlainObject(current) && isPlainObject(value)) {
+        let descriptors = Object.getOwnPropertyDescriptors(unwrap(current));
+
+        if (prune) {
+            for (let key in descriptors) {
+                let descriptor = descriptors[key];
+                if (descriptor.enumerable && !descriptor.get && !(key in value)) {
+                    delete current[key];
+                }
+            }
+        }
+
+        for (let key in value) {
+            if (!descriptors[key]?.get) {
+                mergeValue(current, key, value[key], prune);
+            }
+        }
+        return;
+    }
+
+    obj[prop] = value;
+}
+
+function isPlainObject(val) {
+    return isWrappable(val) && !Array.isArray(val) && !isCollection(val);
+}
+
+// Applies (or reverts) a single change record through its store Proxy.
+//
+// @internal (used by the addons module)
+export function applyChange(change, revert) {
+    let target = proxies.get(change[targetSym]);
+    if (!target) {
+        return;
+    }
+
+    let key = change[keySym];
+
+    if (change.op == "splice") {
+        let removed = revert ? change.newValue : change.oldValue;
+        let inserted = revert ? change.oldValue : change.newValue;
+        target.splice(change.index, removed.length, ...inserted);
+        return;
+    }
+
+    let isSet = target instanceof Set || target instanceof WeakSet;
+
+    // a newly added key is deleted on revert and vice versa
+    let shouldDelete = change.op == "delete" ? !revert : revert && change[isNewKeySym];
+
+    if (shouldDelete) {
+        if (isCollection(target)) {
+            target.delete(key);
+        } else {
+            delete target[key];
+        }
+        return;
+    }
+
+    let value = revert ? change.oldValue : change.newValue;
+
+    if (isSet) {
+        target.add(key);
+    } else if (isCollection(target)) {
+        target.set(key, value);
+    } else {
+        target[key] = value;
+    }
+}
+
+// Invokes fn and marks all of the change records created during its execution
+// with the specified source (e.g. to exclude them from the subscriber that made them).
+//
+// @internal (used by the addons module)
+export function withChangeSource(source, fn) {
+    let oldSource = changeSource;
+
+    changeSource = source;
+
+    try {
+        fn();
+    } finally {
+        changeSource = oldSource;
+    }
+}
+
+// Returns the source with which the specified change record was created (see withChangeSource).
+//
+// @internal (used by the addons module)
+export function getChangeSource(change) {
+    return change[sourceSym];
+}
+
+// Invokes fn with the runtime of the specified store as active one.
+//
+// @internal (used by the addons module)
+export function withStoreRuntime(data, fn) {
+    return withRuntime(data[ctxSym]?.rt || rt, fn);
+}
+
+// -------------------------------------------------------------------
+
+/**
+ * Creates a new deeply reactive store object that triggers `watch`
+ * update on change of a specific watched store property.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ count: 0, name: "test" })
+ *
+ * watch(() => console.log(data.count)) // should fire twice: 0 (initial), 1 (on increment)
+ *
+ * data.count++
+ * ```
+ *
+ * Getters are also supported out of the box and they are invoked every
+ * time when any of their dependencies change.
+ * If a getter is used in a reactive function, its resulting value is cached,
+ * aka. if the final value hasn't changed it will not trigger an unnecessary reactive update.
+ * Getters could be defined at any nesting level and their `this` refers to the reactive object.
+ *
+ * `Map`, `Set`, `WeakMap` and `WeakSet` values are also reactive and their
+ * keys are tracked individually.
+ *
+ * Multiple changes from one or many stores are also automatically batched in a microtask.
+ *
+ * By default a prop change triggers the watchers when the new value is not identical
+ * to the old one (`!==`). This could be customized with the `equals` option that could be either
+ * a function `(oldValue, newValue) => boolean` for all store props or an object with
+ * `path => function` for specific props (including getters). When the values are equal,
+ * the write is ignored and the old value is kept. Note that the array items writes
+ * are always applied to preserve their order and identity.
+ *
+ * ```js
+ * const data = store({ items: [], filter: "" }, { equals: { items: deepEqual } })
+ *
+ * data.items = await fetchItems() // no update if the fetched items are the same
+ * ```
+ *
+ * The store shape could be also enforced with the `schema` option that accepts
+ * a JSON Schema like object with `type`, `enum`, `required`, `properties` and `items`.
+ * The errors of the invalid writes are recorded in a reactive `path => message` object
+ * (see `validationErrors`). With `rejectInvalid: true` the invalid writes are also
+ * ignored and the old value is kept (the array method calls like `push` and `splice`
+ * are validated and rejected as a whole).
+ *
+ * ```js
+ * const settings = store({ theme: "light", tags: [] }, {
+ *     schema: {
+ *         type: "object",
+ *         required: ["theme"],
+ *         properties: {
+ *             theme: { enum: ["light", "dark"] },
+ *             tags: { type: "array", items: { type: "string" } },
+ *         },
+ *     },
+ *     rejectInvalid: true,
+ * })
+ *
+ * settings.theme = "blue" // rejected
+ * ```
+ *
+ * @param  {Object} obj
+ * @param  {Object} [options]
+ * @param  {Function|Object} [options.equals]
+ * @param  {Object} [options.schema]
+ * @param  {boolean} [options.rejectInvalid]
+ * @return {Object} Proxied object.
+ */
+export function store(obj, options) {
+    return createStore(obj, false, options);
+}
+
+/**
+ * ShallowStore creates a new reactive store object where only the
+ * top-level properties are reactive.
+ *
+ * The nested objects and arrays are returned as they are (aka. not proxied),
+ * which makes it suitable for holding large immutable data like API responses
+ * that are always replaced as a whole.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = shallowStore({ items: [], page: 1 })
+ *
+ * watch(() => console.log(data.items.length))
+ *
+ * data.items.push({ id: 1 }) // not reactive
+ *
+ * data.items = [...data.items, { id: 1 }] // reactive
+ * ```
+ *
+ * @param  {Object} obj
+ * @param  {Object} [options] The same as the `store` options.
+ * @return {Object} Proxied object.
+ */
+export function shallowStore(obj, options) {
+    return createStore(obj, true, options);
+}
+
+function createStore(obj, shallow, options) {
+    let ctx = {
+        pathWatcherIds: new Map(),
+        subscribers: new Set(),
+        changes: [],
+        splicing: new Set(),
+        shallow: shallow,
+        equals: options?.equals,
+        rt: rt,
+    };
+
+    if (options?.schema) {
+        ctx.schema = options.schema;
+        ctx.rejectInvalid = !!options.rejectInvalid;
+        ctx.errors = createStore({}, false);
+
+        // record the errors of the initial data
+        setErrors(ctx, "", validateValue(obj, ctx.schema, ""));
+    }
+
+    let proxy = createProxy(obj, ctx);
+
+    proxies.set(obj, proxy);
+
+    return proxy;
+}
+
+/**
+ * MarkRaw marks the specified object so that it is never wrapped
+ * by a store, aka. it is always returned as it is and changes
+ * to its properties will not trigger watchers.
+ *
+ * The object itself is not modified.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ payload: null })
+ *
+ * const payload = markRaw(await fetchRecords()) // e.g. thousands of records
+ *
+ * data.payload = payload // reactive
+ *
+ * data.payload === payload // true (not proxied)
+ * ```
+ *
+ * @param  {Object} obj
+ * @return {Object} The same object.
+ */
+export function markRaw(obj) {
+    if (obj != null && typeof obj == "object") {
+        markedRaw.add(unwrap(obj));
+    }
+
+    return obj;
+}
+
+/**
+ * Computed creates a standalone derived value that could depend on one or many stores.
+ *
+ * The returned object value is lazily evaluated and, similar to the store getters,
+ * its result is cached while it is used in a reactive function, aka. if
+ * the final value hasn't changed it will not trigger an unnecessary reactive update.
+ * While used in a reactive function, the reads outside of it also return the cached
+ * result unless some of its dependencies has changed. Otherwise (aka. when there are no
+ * watchers depending on it) `fn` is invoked on every read.
+ *
+ * The internal value watcher is automatically removed when there are
+ * no longer watchers depending on it.
+ *
+ * Example:
+ *
+ * ```js
+ * const user = store({ firstName: "John", lastName: "Doe" })
+ * const settings = store({ uppercase: false })
+ *
+ * const fullName = computed(() => {
+ *     const name = user.firstName + " " + user.lastName
+ *     return settings.uppercase ? name.toUpperCase() : name
+ * })
+ *
+ * watch(() => console.log(fullName.value))
+ *
+ * t.div({ textContent: () => fullName.value })
+ * ```
+ *
+ * Optionally you can specify a custom `equals` function to compare the old and new
+ * computed result (e.g. to avoid triggering an update for a new but identical array):
+ *
+ * ```js
+ * const activeIds = computed(() => todos.filter((t) => !t.done).map((t) => t.id), {
+ *     equals: shallowEqual,
+ * })
+ * ```
+ *
+ * @param  {Function} fn
+ * @param  {Object} [options]
+ * @param  {Function} [options.equals]
+ * @return {{value:any}}
+ */
+export function computed(fn, options) {
+    let value = store(
+        {
+            get value() {
+                return fn();
+            },
+        },
+        { equals: options?.equals && { value: options.equals } },
+    );
+
+    value[ctxSym].cacheGetters = true;
+
+    activeScope?.[disposersSym].add(() => {
+        let getWatcher = toRaw(value)[descriptorsSym].value._watcher;
+        if (getWatcher) {
+            removeWatcher(getWatcher[idSym]);
+        }
+    });
+
+    return value;
+}
+
+/**
+ * Readonly returns a deeply readonly view of the specified store
+ * (or any of its nested children).
+ *
+ * The reads from the returned object are tracked the same way as the store ones,
+ * but all writes at any depth (including array mutator methods like `push` and `splice`
+ * and `Map`/`Set` methods like `set` and `delete`) are rejected with a warning.
+ *
+ * The original object is not exposed - `__raw` and `toRaw(view)` return the readonly view itself.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ user: { name: "John" }, tags: [] })
+ *
+ * const view = readonly(data)
+ *
+ * watch(() => console.log(view.user.name)) // fire on data.user.name change
+ *
+ * view.user.name = "Jane" // rejected
+ * view.tags.push("a")     // rejected
+ * ```
+ *
+ * @param  {Object} data
+ * @return {Object} Readonly proxied object.
+ */
+export function readonly(data) {
+    if (!data?.[ctxSym]) {
+        throw new Error("readonly: the first argument must be a store object");
+    }
+
+    // already readonly
+    if (data[readonlySym]) {
+        return data;
+    }
+
+    let view = readonlyProxies.get(data);
+    if (view) {
+        return view;
+    }
+
+    let isMap = data instanceof Map || data instanceof WeakMap;
+
+    view = new Proxy(data, {
+        get(target, prop) {
+            // the underlying store (for internal use only, e.g. unwrap)
+            if (prop === readonlySym) {
+                return target;
+            }
+
+            // don't expose the raw object to prevent untracked writes
+            if (prop === rawSym || prop === "__raw") {
+                return view;
+            }
+
+            // note: read through the store proxy so that getters can update their cached value
+            let value = target[prop];
+
+            if (typeof value != "function") {
+                return prop === ctxSym ? value : toReadonly(value);
+            }
+
+            if (
+                (Array.isArray(target) && arrayMutators.has(prop)) ||
+                (isCollection(target) && collectionMutators.has(prop))
+            ) {
+                return () => {
+                    warn("readonly: " + String(prop) + "() call is not allowed");
+                };
+            }
+
+            if (!isCollection(target)) {
+                return value;
+            }
+
+            // wrap the collection method results and callback arguments
+            return (...args) => {
+                if (prop == "forEach") {
+                    let [callback, thisArg] = args;
+                    return value.call(target, (item, key) => {
+                        callback.call(thisArg, toReadonly(item), key, view);
+                    });
+                }
+
+                let result = value.apply(target, args);
+
+                if (typeof result?.next == "function") {
+                    let isEntries =
+                        prop == "entries" || (prop == Symbol.iterator && isMap);
+                    return readonlyIterator(result, isEntries);
+                }
+
+                return toReadonly(result);
+            };
+        },
+        set(_, prop) {
+            warn("readonly: cannot set " + String(prop));
+            return true;
+        },
+        deleteProperty(_, prop) {
+            warn("readonly: cannot delete " + String(prop));
+            return true;
+        },
+        defineProperty(_, prop) {
+            warn("readonly: cannot define " + String(prop));
+            return true;
+        },
+    });
+
+    readonlyProxies.set(data, view);
+
+    return view;
+}
+
+function toReadonly(value) {
+    return value?.[ctxSym] ? readonly(value) : value;
+}
+
+function* readonlyIterator(iterator, isEntries) {
+    for (let item of iterator) {
+        yield isEntries ? [item[0], toReadonly(item[1])] : toReadonly(item);
+    }
+}
+
+/**
+ * ShallowEqual checks whether a and b are identical or are
+ * arrays, plain objects, `Map` or `Set` with identical items.
+ *
+ * It could be used as store or computed `equals` function.
+ *
+ * @param  {any} a
+ * @param  {any} b
+ * @return {boolean}
+ */
+export function shallowEqual(a, b) {
+    return isEqual(a, b, false, null);
+}
+
+/**
+ * DeepEqual checks whether a and b are recursively equal
+ * (arrays, plain objects, `Map`, `Set` and `Date` values are compared by content).
+ *
+ * It could be used as store or computed `equals` function.
+ *
+ * @param  {any} a
+ * @param  {any} b
+ * @return {boolean}
+ */
+export function deepEqual(a, b) {
+    return isEqual(a, b, true, new Map());
+}
+
+function isEqual(a, b, deep, seen) {
+    a = unwrap(a);
+    b = unwrap(b);
+
+    if (Object.is(a, b)) {
+        return true;
+    }
+
+    if (
+        a == null ||
+        b == null ||
+        typeof a != "object" ||
+        typeof b != "object" ||
+        Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)
+    ) {
+        return false;
+    }
+
+    if (a instanceof Date) {
+        return deep && a.getTime() == b.getTime();
+    }
+
+    if (!isPlainType(a) || a instanceof WeakMap || a instanceof WeakSet) {
+        return false;
+    }
+
+    // circular references
+    if (deep) {
+        if (seen.get(a) === b) {
+            return true;
+        }
+        seen.set(a, b);
+    }
+
+    let itemsEqual = (x, y) =>
+        deep ? isEqual(x, y, true, seen) : Object.is(unwrap(x), unwrap(y));
+
+    if (a instanceof Set) {
+        if (a.size != b.size) {
+            return false;
+        }
+        for (let item of a) {
+            if (!b.has(item)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    if (a instanceof Map) {
+        if (a.size != b.size) {
+            return false;
+        }
+        for (let [key, item] of a) {
+            if (!b.has(key) || !itemsEqual(item, b.get(key))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    let keys = Object.keys(a);
+    if (keys.length != Object.keys(b).length) {
+        return false;
+    }
+
+    for (let key of keys) {
+        if (!Object.hasOwn(b, key) || !itemsEqual(a[key], b[key])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * ValidationErrors returns the reactive validation errors of a store
+ * created with the `schema` option.
+ *
+ * The errors are stored as readonly `path => message` object and are
+ * updated on every store write so they could be rendered next to the related inputs.
+ *
+ * Example:
+ *
+ * ```js
+ * const settings = store({ email: "" }, {
+ *     schema: {
+ *         type: "object",
+ *         required: ["email"],
+ *         properties: { email: { type: "string" } },
+ *     },
+ * })
+ *
+ * const errors = validationErrors(settings)
+ *
+ * t.input({ onchange: (e) => (settings.email = e.target.value) })
+ * t.small({ textContent: () => errors["email"] || "" })
+ * ```
+ *
+ * @param  {Object} store
+ * @return {Object}
+ */
+export function validationErrors(store) {
+    let ctx = store?.[ctxSym];
+    if (!ctx?.schema) {
+        throw new Error(
+            "validationErrors: the first argument must be a store object with schema",
+        );
+    }
+
+    return readonly(ctx.errors);
+}
+
+// Returns the validation errors as [path, message] pairs for the
+// specified new value of a store path.
+function validatePath(ctx, path, value) {
+    let segments = path.split(pathSeparator);
+    let prop = segments.pop();
+
+    let parentSchema = ctx.schema;
+    for (let segment of segments) {
+        parentSchema = getChildSchema(parentSchema, segment);
+    }
+
+    if (value === undefined) {
+        return parentSchema?.required?.includes(prop) ? [[path, "is required"]] : [];
+    }
+
+    return validateValue(value, getChildSchema(parentSchema, prop), path);
+}
+
+// Checks whether the result of the array method call is valid
+// by applying it first to a copy of the array.
+function isValidArrayMutation(obj, prop, method, args, ctx) {
+    let path = obj[parentSym] ? getPath(obj[parentSym][0], obj[parentSym][1]) : "";
+
+    let copy = obj.slice();
+    method.apply(copy, args);
+
+    let errors = path
+        ? validatePath(ctx, path, copy)
+        : validateValue(copy, ctx.schema, "");
+
+    setErrors(ctx, path, errors);
+
+    if (errors.length) {
+        warn("store: rejected invalid " + prop + "() call - " + errors[0].join(" "));
+        return false;
+    }
+
+    return true;
+}
+
+function getChildSchema(schema, prop) {
+    return schema?.items || schema?.properties?.[prop];
+}
+
+// Recursively validates the value against the (JSON Schema like) schema subset:
+// type, enum, required, properties and items.
+function validateValue(value, schema, path, result = []) {
+    if (!schema || value === undefined) {
+        return result;
+    }
+
+    value = unwrap(value);
+
+    let types = [].concat(schema.type || []);
+    if (types.length && !types.some((type) => isOfType(value, type))) {
+        result.push([path, "must be " + types.join(" or ")]);
+        return result;
+    }
+
+    if (schema.enum && !schema.enum.some((item) => Object.is(item, value))) {
+        result.push([path, "must be one of " + schema.enum.join(", ")]);
+        return result;
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                validateValue(value[i], schema.items, joinPath(path, i), result);
+            }
+        }
+    } else if (value != null && typeof value == "object") {
+        for (let key of schema.required || []) {
+            if (value[key] === undefined) {
+                result.push([joinPath(path, key), "is required"]);
+            }
+        }
+
+        for (let key in schema.properties) {
+            validateValue(
+                value[key],
+                schema.properties[key],
+                joinPath(path, key),
+                result,
+            );
+        }
+    }
+
+    return result;
+}
+
+function isOfType(value, type) {
+    switch (type) {
+        case "null":
+            return value === null;
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return value != null && typeof value == "object" && !Array.isArray(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "number":
+            return typeof value == "number" && !isNaN(value);
+        default:
+            return typeof value == type;
+    }
+}
+
+function joinPath(path, prop) {
+    return path === "" ? "" + prop : path + pathSeparator + prop;
+}
+
+// Replaces the recorded errors of the path (and its children) with the new ones.
+function setErrors(ctx, path, errors) {
+    let newErrors = new Map(errors);
+
+    for (let key in toRaw(ctx.errors)) {
+        if (
+            !newErrors.has(key) &&
+            (path === "" || key == path || key.startsWith(path + pathSeparator))
+        ) {
+            delete ctx.errors[key];
+        }
+    }
+
+    for (let [errorPath, message] of newErrors) {
+        ctx.errors[errorPath] = message;
+    }
+}
+
+// Returns the custom equality function (if any) for the specified store prop.
+function getEquals(ctx, obj, prop) {
+    let equals = ctx.equals;
+
+    if (typeof equals == "object") {
+        equals = equals[getPath(obj, prop)];
+    }
+
+    return equals;
+}
+
+/**
+ * ToRaw returns the original (non-proxied) object of a store or
+ * any of its nested children.
+ *
+ * Any nested store proxy (e.g. assigned as part of a new plain object)
+ * is also recursively replaced with its original object.
+ *
+ * Note that changes to the returned object will not trigger watchers.
+ *
+ * The `readonly` views are returned as they are because their
+ * original object is not exposed.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({ user: { name: "John" } })
+ *
+ * const rawUser = toRaw(data.user) // plain { name: "John" } object
+ * ```
+ *
+ * @param  {any} value
+ * @return {any}
+ */
+export function toRaw(value) {
+    return unwrapDeep(value, new Set());
+}
+
+function unwrapDeep(val, seen) {
+    if (val?.[readonlySym]) {
+        return val;
+    }
+
+    val = unwrap(val);
+
+    if (!isWrappable(val) || seen.has(val)) {
+        return val;
+    }
+
+    seen.add(val);
+
+    if (isCollection(val)) {
+        if (val instanceof Map) {
+            for (let [key, item] of val) {
+                let rawItem = unwrapDeep(item, seen);
+                if (rawItem !== item) {
+                    val.set(key, rawItem);
+                }
+            }
+        }
+        return val;
+    }
+
+    // note: iterates the descriptors to avoid invoking the getters
+    let descriptors = Object.getOwnPropertyDescriptors(val);
+    for (let prop in descriptors) {
+        let item = descriptors[prop].value;
+        if (typeof item == "object") {
+            let rawItem = unwrapDeep(item, seen);
+            if (rawItem !== item) {
+                val[prop] = rawItem;
+            }
+        }
+    }
+
+    return val;
+}
+
+/**
+ * Snapshot returns a deep, plain and frozen copy of the specified
+ * store (or any of its nested children) with resolved getter values.
+ *
+ * The result doesn't contain any internal store properties and it is suitable
+ * for sending to an API, structured cloning, diffing, etc.
+ *
+ * Note that when used inside a watcher, all of the copied store props are tracked.
+ *
+ * Example:
+ *
+ * ```js
+ * const data = store({
+ *     items: [{ price: 10 }, { price: 20 }],
+ *     get total() {
+ *         return data.items.reduce((sum, item) => sum + item.price, 0)
+ *     },
+ * })
+ *
+ * const copy = snapshot(data) // { items: [{ price: 10 }, { price: 20 }], total: 30 }
+ * ```
+ *
+ * @param  {any} value
+ * @return {any}
+ */
+export function snapshot(value) {
+    return copyDeep(value, new Map());
+}
+
+function copyDeep(val, seen) {
+    let raw = unwrap(val);
+
+    // primitive, WeakMap, WeakSet, Date or any other custom object
+    if (!isPlainType(raw) || raw instanceof WeakMap || raw instanceof WeakSet) {
+        return val;
+    }
+
+    if (seen.has(raw)) {
+        return seen.get(raw);
+    }
+
+    let copy;
+
+    if (Array.isArray(raw)) {
+        copy = [];
+        seen.set(raw, copy);
+        for (let i = 0; i < val.length; i++) {
+            copy.push(copyDeep(val[i], seen));
+        }
+    } else if (raw instanceof Map) {
+        copy = new Map();
+        seen.set(raw, copy);
+        for (let [key, item] of val) {
+            copy.set(key, copyDeep(item, seen));
+        }
+    } else if (raw instanceof Set) {
+        copy = new Set();
+        seen.set(raw, copy);
+        for (let item of val) {
+            copy.add(copyDeep(item, seen));
+        }
+    } else {
+        copy = {};
+        seen.set(raw, copy);
+        for (let prop of Object.keys(val)) {
+            copy[prop] = copyDeep(val[prop], seen);
+        }
+    }
+
+    return Object.freeze(copy);
+}
+
+function createProxy(obj, ctx) {
+    if (isCollection(obj)) {
+        return createCollectionProxy(obj, ctx);
+    }
+
+    // extract props info to identify getters
+    let descriptors =
+        typeof obj == "object" && !Array.isArray(obj)
+            ? Object.getOwnPropertyDescriptors(obj)
+            : {};
+
+    // store a reference to the descriptors so that the getter watchers
+    // can be removed when the object is detached from its parent
+    defineInternalProp(obj, descriptorsSym, descriptors);
+
+    return new Proxy(obj, {
+        get(obj, prop, receiver) {
+            if (typeof prop == "symbol") {
+                if (prop == rawSym) {
+                    return obj;
+                }
+                if (prop == ctxSym) {
+                    return ctx;
+                }
+                return obj[prop];
+            }
+
+            if (prop == "__raw") {
+                return obj;
+            }
+
+            // getter?
+            if (descriptors[prop]?.get) {
+                let originalProp = prop;
+
+                // replace with an internal property so that reactive statements can be cached
+                prop = "@@" + prop;
+
+                // if not invoked inside a watch function, call the original
+                // getter to ensure that an up-to-date value is computed
+                if (!activeWatcher) {
+                    let getWatcher = descriptors[originalProp]._watcher;
+
+                    // the computed values are served from the cached prop
+                    // while their watcher is active and none of its dependencies has changed
+                    if (
+                        ctx.cacheGetters &&
+                        getWatcher &&
+                        !getWatcher[unwatchedSym] &&
+                        !getWatcher[runtimeSym].flushQueue.has(getWatcher[idSym]) &&
+                        Object.hasOwn(obj, prop)
+                    ) {
+                        return wrapChild(obj[prop], receiver, prop, ctx);
+                    }
+
+                    let value = descriptors[originalProp].get.call(receiver);
+
+                    // manually sync with the local value if defined already
+                    if (descriptors[originalProp]._watcher) {
+                        receiver[prop] = value;
+                    }
+
+                    return value;
+                }
+
+                let activeWatcherId = activeWatcher[idSym];
+
+                // keep track of the getter references and remove it when there are no other watchers
+                descriptors[originalProp]._refs =
+                    descriptors[originalProp]._refs || new Set();
+                if (!descriptors[originalProp]._refs.has(activeWatcherId)) {
+                    descriptors[originalProp]._refs.add(activeWatcherId);
+
+                    let oldOnRemoveFunc = activeWatcher[onRemoveSym];
+                    activeWatcher[onRemoveSym] = () => {
+                        oldOnRemoveFunc?.();
+
+                        descriptors[originalProp]._refs.delete(activeWatcherId);
+                        if (
+                            !descriptors[originalProp]._refs.size &&
+                            descriptors[originalProp]._watcher
+                        ) {
+                            removeWatcher(descriptors[originalProp]._watcher[idSym]);
+                        }
+                    };
+                }
+
+                // register an extra watcher to update the cached getter prop
+                if (!descriptors[originalProp]._watcher) {
+                    // temporary clear previous active watcher (and scope) to ensure
+                    // that the getter watcher will be registered as a top-level one
+                    let oldActiveWatcher = activeWatcher;
+                    let oldActiveScope = activeScope;
+                    activeWatcher = null;
+                    activeScope = null;
+
+                    let getWatcher = watch(
+                        descriptors[originalProp].get.bind(receiver),
+                        (result) => {
+                            if (!Object.hasOwn(obj, prop)) {
+                                Object.defineProperty(obj, prop, {
+                                    writable: true,
+                                    enumerable: false,
+                                    value: result,
+                                });
+                            } else {
+                                receiver[prop] = result;
+                            }
+                        },
+                    );
+
+                    descriptors[originalProp]._watcher = getWatcher;
+
+                    getWatcher[onRemoveSym] = () => {
+                        descriptors[originalProp]._watcher = null;
+                    };
+
+                    activeWatcher = oldActiveWatcher;
+                    activeScope = oldActiveScope;
+                }
+
+                // the getter cache of a sync watcher dependency must be also updated synchronously
+                if (activeWatcher[optionsSym]?.flush == "sync") {
+                    descriptors[originalProp]._watcher[optionsSym] = { flush: "sync" };
+                }
+            }
+
+            let propVal = obj?.[prop];
+
+            // directly return for functions (pop, push, etc.)
+            if (typeof propVal == "function") {
+                // validate the array changes as a whole to prevent partial writes
+                // (e.g. rejected index but applied length change)
+                if (ctx.rejectInvalid && Array.isArray(obj) && arrayMutators.has(prop)) {
+                    return function () {
+                        if (!isValidArrayMutation(obj, prop, propVal, arguments, ctx)) {
+                            return;
+                        }
+
+                        return ctx.subscribers.size
+                            ? mutateArray(obj, this, propVal, arguments, ctx)
+                            : propVal.apply(this, arguments);
+                    };
+                }
+
+                // group the array changes as single splice record
+                if (
+                    ctx.subscribers.size &&
+                    Array.isArray(obj) &&
+                    arrayMutators.has(prop)
+                ) {
+                    return function () {
+                        return mutateArray(obj, this, propVal, arguments, ctx);
+                    };
+                }
+
+                return propVal;
+            }
+
+            propVal = wrapChild(propVal, receiver, prop, ctx);
+
+            track(obj, prop, ctx);
+
+            return propVal;
+        },
+        set(obj, prop, value) {
+            if (typeof prop == "symbol") {
+                obj[prop] = value;
+                return true;
+            }
+
+            // always store the original object to keep the data free from proxies
+            value = unwrap(value);
+
+            let oldValue = obj[prop];
+
+            // custom equality check
+            // (the array items are excluded to preserve their order and identity)
+            if (
+                ctx.equals &&
+                value !== oldValue &&
+                !Array.isArray(obj) &&
+                Object.hasOwn(obj, prop)
+            ) {
+                // use the getter path for the internal cached getter props
+                let equalsProp =
+                    prop.startsWith("@@") && descriptors[prop.substring(2)]?.get
+                        ? prop.substring(2)
+                        : prop;
+
+                if (getEquals(ctx, obj, equalsProp)?.(oldValue, value)) {
+                    return true;
+                }
+            }
+
+            // schema validation
+            // (the internal cached getter props and the getters are excluded)
+            if (
+                ctx.schema &&
+                prop !== "length" &&
+                !prop.startsWith("@@") &&
+                !Object.getOwnPropertyDescriptor(obj, prop)?.get
+            ) {
+                let path = getPath(obj, prop);
+                let errors = validatePath(ctx, path, value);
+
+                setErrors(ctx, path, errors);
+
+                if (errors.length && ctx.rejectInvalid) {
+                    warn("store: rejected invalid write - " + errors[0].join(" "));
+                    return true;
+                }
+            }
+
+            // update the stored parent reference in case of index change
+            // (e.g. unshift, splice, etc.)
+            if (
+                value?.[parentSym] &&
+                Array.isArray(obj) &&
+                !isNaN(prop) &&
+                value[parentSym][1] != prop
+            ) {
+                // reassign old watchers to the new index
+                let oldPath = getPath(obj, value[parentSym][1]);
+                let newPath = getPath(obj, prop);
+                for (let item of ctx.pathWatcherIds) {
+                    if (
+                        // exact match
+                        (item[0] == oldPath ||
+                            // child path
+                            item[0].startsWith(oldPath + pathSeparator)) &&
+                        // the deep watchers remain subscribed to their fixed path
+                        !item[0].endsWith(deepSuffix)
+                    ) {
+                        let movedPath = item[0].replace(oldPath, newPath);
+                        ctx.pathWatcherIds.delete(item[0]);
+                        ctx.pathWatcherIds.set(movedPath, item[1]);
+                        item[1][pathSym] = movedPath;
+                    }
+                }
+
+                // set new index ref
+                value[parentSym][1] = prop;
+            }
+
+            let isNewProp = !Object.hasOwn(obj, prop);
+
+            // direct array length change (e.g. arr.length = 0)
+            if (prop === "length" && Array.isArray(obj) && value !== oldValue) {
+                recordChange(ctx, obj, null, {
+                    op: "splice",
+                    index: Math.min(value, oldValue),
+                    oldValue: obj.slice(value),
+                    newValue: new Array(Math.max(value - oldValue, 0)),
+                });
+            } else if (
+                value !== oldValue &&
+                // exclude the internal cached getter props
+                !(prop.startsWith("@@") && descriptors[prop.substring(2)]?.get)
+            ) {
+                recordChange(
+                    ctx,
+                    obj,
+                    prop,
+                    {
+                        op: "set",
+                        oldValue: oldValue,
+                        newValue: value,
+                    },
+                    isNewProp,
+                );
+            }
+
+            obj[prop] = value;
+
+            // cleanup the getter watchers of the replaced child object
+            // (the index check is for the array items that were moved, e.g. on unshift)
+            if (value !== oldValue && oldValue?.[parentSym]?.[1] == prop) {
+                removeGetterWatchers(oldValue);
+            }
+
+            // notify the keys iteration watchers
+            // (e.g. `Object.keys(data.someObject)`, `JSON.stringify(data.someObject)`, etc.)
+            if (isNewProp) {
+                callWatchers(obj, keysProp, ctx);
+            }
+
+            // trigger only on value change
+            // (exeption for length since the old value would have been already changed on access)
+            if (value !== oldValue || prop === "length") {
+                callWatchers(obj, prop, ctx);
+            }
+
+            return true;
+        },
+        deleteProperty(obj, prop) {
+            if (typeof prop != "symbol" && ctx.schema && Object.hasOwn(obj, prop)) {
+                let path = getPath(obj, prop);
+                let errors = validatePath(ctx, path, undefined);
+
+                setErrors(ctx, path, errors);
+
+                if (errors.length && ctx.rejectInvalid) {
+                    warn("store: rejected invalid delete - " + errors[0].join(" "));
+                    return true;
+                }
+            }
+
+            if (typeof prop != "symbol") {
+                callWatchers(obj, prop, ctx);
+
+                if (Object.hasOwn(obj, prop)) {
+                    callWatchers(obj, keysProp, ctx);
+                }
+
+                clearPaths(obj, prop, ctx);
+
+                if (obj[prop]?.[parentSym]?.[1] == prop) {
+                    removeGetterWatchers(obj[prop]);
+                }
+
+                if (Object.hasOwn(obj, prop)) {
+                    recordChange(ctx, obj, prop, {
+                        op: "delete",
+                        oldValue: obj[prop],
+                        newValue: undefined,
+                    });
+                }
             }
 
-            return true;
+            return delete obj[prop];
         },
-        deleteProperty(obj, prop) {
+        has(obj, prop) {
+            // track the prop even if missing in order to be notified on its addition
             if (typeof prop != "symbol") {
-                callWatchers(obj, prop, pathWatcherIds);
+                track(obj, prop, ctx);
+            }
 
-                let currentPath = getPath(obj, prop);
+            return prop in obj;
+        },
+        ownKeys(obj) {
+            track(obj, keysProp, ctx);
 
-                for (let item of pathWatcherIds) {
-                    if (
-                        // exact match
-                        item[0] == currentPath ||
-                        // child path
-                        item[0].startsWith(currentPath + pathSeparator)
-                    ) {
-                        pathWatcherIds.delete(item[0]);
-                    }
+            return Reflect.ownKeys(obj);
+        },
+    });
+}
+
+// Returns a Proxy for a Map, Set, WeakMap or WeakSet that tracks the
+// accessed keys (and the collection keys iteration) similar to the
+// plain object props.
+//
+// Note that the collection methods are invoked on the original object
+// because most of them work only with their internal slots.
+function createCollectionProxy(obj, ctx) {
+    let isMap = obj instanceof Map || obj instanceof WeakMap;
+
+    let proxy;
+
+    // note: only the Map values are wrapped since the Set values are also their keys
+    function wrapValue(key, value) {
+        return isMap ? wrapChild(value, proxy, keyToProp(key), ctx) : value;
+    }
+
+    function* iterate(kind) {
+        track(obj, keysProp, ctx);
+
+        for (let [key, value] of obj.entries()) {
+            if (isMap) {
+                track(obj, keyToProp(key), ctx);
+                value = wrapValue(key, value);
+            }
+
+            if (kind == "keys") {
+                yield key;
+            } else if (kind == "values") {
+                yield value;
+            } else {
+                yield [key, value];
+            }
+        }
+    }
+
+    let methods = {
+        get(key) {
+            key = unwrap(key);
+
+            track(obj, keyToProp(key), ctx);
+
+            return wrapValue(key, obj.get(key));
+        },
+        has(key) {
+            key = unwrap(key);
+
+            track(obj, keyToProp(key), ctx);
+
+            return obj.has(key);
+        },
+        set(key, value) {
+            key = unwrap(key);
+            value = unwrap(value);
+
+            let hadKey = obj.has(key);
+            let oldValue = obj.get(key);
+
+            if (
+                ctx.equals &&
+                hadKey &&
+                value !== oldValue &&
+                getEquals(ctx, obj, keyToProp(key))?.(oldValue, value)
+            ) {
+                return proxy;
+            }
+
+            if (!hadKey || value !== oldValue) {
+                recordChange(
+                    ctx,
+                    obj,
+                    key,
+                    {
+                        op: "set",
+                        oldValue: oldValue,
+                        newValue: value,
+                    },
+                    !hadKey,
+                );
+            }
+
+            obj.set(key, value);
+
+            if (value !== oldValue) {
+                removeGetterWatchers(oldValue);
+            }
+
+            if (!hadKey) {
+                callWatchers(obj, keysProp, ctx);
+            }
+
+            if (!hadKey || value !== oldValue) {
+                callWatchers(obj, keyToProp(key), ctx);
+            }
+
+            return proxy;
+        },
+        add(value) {
+            value = unwrap(value);
+
+            if (!obj.has(value)) {
+                recordChange(
+                    ctx,
+                    obj,
+                    value,
+                    {
+                        op: "set",
+                        oldValue: undefined,
+                        newValue: value,
+                    },
+                    true,
+                );
+
+                obj.add(value);
+
+                callWatchers(obj, keyToProp(value), ctx);
+                callWatchers(obj, keysProp, ctx);
+            }
+
+            return proxy;
+        },
+        delete(key) {
+            key = unwrap(key);
+
+            if (!obj.has(key)) {
+                return false;
+            }
+
+            callWatchers(obj, keyToProp(key), ctx);
+            callWatchers(obj, keysProp, ctx);
+
+            clearPaths(obj, keyToProp(key), ctx);
+
+            if (isMap) {
+                removeGetterWatchers(obj.get(key));
+            }
+
+            recordChange(ctx, obj, key, {
+                op: "delete",
+                oldValue: isMap ? obj.get(key) : key,
+                newValue: undefined,
+            });
+
+            return obj.delete(key);
+        },
+        clear() {
+            for (let [key, value] of obj.entries()) {
+                callWatchers(obj, keyToProp(key), ctx);
+
+                clearPaths(obj, keyToProp(key), ctx);
+
+                if (isMap) {
+                    removeGetterWatchers(value);
                 }
+
+                recordChange(ctx, obj, key, {
+                    op: "delete",
+                    oldValue: value,
+                    newValue: undefined,
+                });
             }
 
-            return delete obj[prop];
+            callWatchers(obj, keysProp, ctx);
+
+            obj.clear();
+        },
+        forEach(callback, thisArg) {
+            for (let [key, value] of iterate()) {
+                callback.call(thisArg, value, key, proxy);
+            }
+        },
+        keys() {
+            return iterate("keys");
+        },
+        values() {
+            return iterate("values");
+        },
+        entries() {
+            return iterate();
+        },
+        [Symbol.iterator]() {
+            return iterate(isMap ? null : "values");
+        },
+    };
+
+    proxy = new Proxy(obj, {
+        get(obj, prop) {
+            if (prop == "__raw" || prop == rawSym) {
+                return obj;
+            }
+
+            if (prop == ctxSym) {
+                return ctx;
+            }
+
+            if (prop == "size") {
+                track(obj, keysProp, ctx);
+
+                return obj.size;
+            }
+
+            // note: checks the original object too because the Weak* collections
+            // doesn't have all methods (e.g. clear, forEach, etc.)
+            if (methods.hasOwnProperty(prop) && typeof obj[prop] == "function") {
+                return methods[prop];
+            }
+
+            let propVal = obj[prop];
+
+            if (typeof propVal == "function" && prop != "constructor") {
+                return propVal.bind(obj);
+            }
+
+            return propVal;
         },
     });
+
+    return proxy;
+}
+
+// Removes the getter watchers of the specified store child object and
+// all of its nested children (usually invoked when the object is
+// replaced or deleted from its parent).
+function removeGetterWatchers(val, seen = new Set()) {
+    let raw = unwrap(val);
+
+    // not a store object
+    if (!raw?.[parentSym] || seen.has(raw)) {
+        return;
+    }
+
+    seen.add(raw);
+
+    let descriptors = raw[descriptorsSym];
+    for (let prop in descriptors) {
+        if (descriptors[prop]._watcher) {
+            removeWatcher(descriptors[prop]._watcher[idSym]);
+        }
+    }
+
+    if (isCollection(raw)) {
+        if (raw.values) {
+            for (let child of raw.values()) {
+                removeGetterWatchers(child, seen);
+            }
+        }
+        return;
+    }
+
+    // note: iterates the descriptors to avoid invoking the getters
+    for (let descriptor of Object.values(Object.getOwnPropertyDescriptors(raw))) {
+        if (typeof descriptor.value == "object") {
+            removeGetterWatchers(descriptor.value, seen);
+        }
+    }
+}
+
+function isCollection(obj) {
+    return (
+        obj instanceof Map ||
+        obj instanceof Set ||
+        obj instanceof WeakMap ||
+        obj instanceof WeakSet
+    );
+}
+
+// Calls the array method and registers the array items difference
+// as a single "splice" change record.
+function mutateArray(obj, receiver, method, args, ctx) {
+    let oldItems = obj.slice();
+
+    // ignore the individual index and length change records
+    ctx.splicing.add(obj);
+
+    let result;
+    try {
+        result = method.apply(receiver, args);
+    } finally {
+        ctx.splicing.delete(obj);
+    }
+
+    // find the changed range by skipping the same leading and trailing items
+    let start = 0;
+    while (
+        start < oldItems.length &&
+        start < obj.length &&
+        oldItems[start] === obj[start]
+    ) {
+        start++;
+    }
+
+    let oldEnd = oldItems.length;
+    let newEnd = obj.length;
+    while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === obj[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    if (oldEnd > start || newEnd > start) {
+        recordChange(ctx, obj, null, {
+            op: "splice",
+            index: start,
+            oldValue: oldItems.slice(start, oldEnd),
+            newValue: obj.slice(start, newEnd),
+        });
+    }
+
+    return result;
+}
+
+// Registers a new change record for the store subscribers (if any).
+//
+// For "splice" records the key is ignored and the path is the array own path.
+function recordChange(ctx, obj, key, record, isNewKey = false) {
+    if (!ctx.subscribers.size || ctx.splicing.has(obj)) {
+        return;
+    }
+
+    let path;
+    if (record.op == "splice") {
+        path = obj[parentSym] ? getPath(obj[parentSym][0], obj[parentSym][1]) : "";
+    } else {
+        path = getPath(obj, isCollection(obj) ? keyToProp(key) : key);
+    }
+
+    let change = Object.assign({ path: path }, record);
+
+    // store the change target for internal use (e.g. history)
+    defineInternalProp(change, targetSym, obj);
+    defineInternalProp(change, keySym, key);
+    defineInternalProp(change, isNewKeySym, isNewKey);
+    defineInternalProp(change, sourceSym, changeSource);
+
+    ctx.changes.push(change);
+
+    ctx.rt.pendingChanges.add(ctx);
+
+    scheduleFlush(ctx.rt);
+}
+
+// Returns the (cached) store Proxy of the specified child plain object,
+// array or collection and registers its parent reference.
+//
+// All other value types are returned as they are.
+function wrapChild(val, parent, prop, ctx) {
+    if (ctx.shallow || !isWrappable(val)) {
+        return val;
+    }
+
+    let proxy = proxies.get(val);
+    if (!proxy) {
+        if (!val[parentSym]) {
+            defineInternalProp(val, parentSym, [parent, prop]);
+        }
+
+        proxy = createProxy(val, ctx);
+
+        proxies.set(val, proxy);
+    }
+
+    return proxy;
+}
+
+// Returns the original object of a store Proxy (or the value itself if not a Proxy).
+function unwrap(val) {
+    if (val?.[readonlySym]) {
+        return val[readonlySym][rawSym];
+    }
+
+    return val?.[rawSym] || val;
+}
+
+// Defines a non-enumerable property so that it is not copied
+// on spread, Object.assign, etc.
+function defineInternalProp(obj, prop, value) {
+    Object.defineProperty(obj, prop, {
+        configurable: true,
+        writable: true,
+        enumerable: false,
+        value: value,
+    });
+}
+
+function isWrappable(val) {
+    return isPlainType(val) && !markedRaw.has(val);
+}
+
+// Checks whether val is a plain object, array or collection
+// (regardless of whether it was marked as raw).
+function isPlainType(val) {
+    return (
+        val != null &&
+        typeof val == "object" &&
+        (val.constructor?.name == "Object" ||
+            val.constructor?.name == "Array" ||
+            val.constructor?.name == "Map" ||
+            val.constructor?.name == "Set" ||
+            val.constructor?.name == "WeakMap" ||
+            val.constructor?.name == "WeakSet" ||
+            val.constructor?.name == undefined) // e.g. Object.create(null)
+    );
+}
+
+// Normalizes a collection key so that it can be used as path segment.
+//
+// Object keys are identified by an auto generated id since they
+// can't be "stringified" in a meaningful way.
+//
+// The non-string primitive keys are prefixed with their type (e.g. "@number:1")
+// and the string keys have their path separator and leading "@" escaped
+// to avoid collisions between keys like 1 and "1" or "a/b" and a nested "a" -> "b".
+function keyToProp(key) {
+    if (key != null && (typeof key == "object" || typeof key == "function")) {
+        let id = objKeyIds.get(key);
+        if (!id) {
+            id = "@@" + ++lastObjKeyId;
+            objKeyIds.set(key, id);
+        }
+        return id;
+    }
+
+    if (typeof key == "string") {
+        return key.replace(/[%/]|^@/g, encodeURIComponent);
+    }
+
+    return "@" + typeof key + ":" + String(key);
+}
+
+// Registers the current active watcher (if any) as subscriber for the specified prop path.
+function track(obj, prop, ctx) {
+    if (!activeWatcher) {
+        return;
+    }
+
+    trackPath(getPath(obj, prop), ctx);
+}
+
+function trackPath(currentPath, ctx) {
+    let activeWatcherId = activeWatcher[idSym];
+
+    let propPaths = [currentPath];
+
+    // initialize a watcher paths tracking set (if not already)
+    activeWatcher[pathsSubsSym] = activeWatcher[pathsSubsSym] || new Set();
+
+    // register the paths to watch
+    for (let path of propPaths) {
+        let subs = ctx.pathWatcherIds.get(path);
+        if (!subs) {
+            subs = new Set();
+            ctx.pathWatcherIds.set(path, subs);
+
+            // for debugging purposes
+            subs[pathSym] = path;
+        }
+
+        if (!subs.has(activeWatcherId)) {
+            subs.add(activeWatcherId);
+
+            if (activeWatcher[runtimeSym].config.devMode) {
+                activeWatcher[optionsSym]?.onTrack?.({
+                    watcher: activeWatcher,
+                    path: path,
+                });
+            }
+        }
+
+        activeWatcher[pathsSubsSym].add(subs);
+    }
+}
+
+// Removes the path subscriptions of the specified prop and its children
+// (usually invoked on prop deletion).
+function clearPaths(obj, prop, ctx) {
+    let currentPath = getPath(obj, prop);
+
+    for (let item of ctx.pathWatcherIds) {
+        if (
+            // exact match
+            (item[0] == currentPath ||
+                // child path
+                item[0].startsWith(currentPath + pathSeparator)) &&
+            // the deep watchers remain subscribed to their fixed path
+            !item[0].endsWith(deepSuffix)
+        ) {
+            ctx.pathWatcherIds.delete(item[0]);
+        }
+    }
 }
 
 function getPath(obj, prop) {
@@ -454,16 +3086,58 @@ function getPath(obj, prop) {
     return currentPath;
 }
 
-function callWatchers(obj, prop, pathWatcherIds) {
+function callWatchers(obj, prop, ctx) {
     let currentPath = getPath(obj, prop);
 
-    let watcherIds = pathWatcherIds.get(currentPath);
+    let watcherIds = ctx.pathWatcherIds.get(currentPath);
+
+    // include the deep watchers of the current path and its ancestors
+    if (ctx.hasDeepWatchers) {
+        let deepIds = new Set(watcherIds);
+
+        let path = currentPath;
+        while (true) {
+            ctx.pathWatcherIds.get(path + deepSuffix)?.forEach((id) => deepIds.add(id));
+
+            let index = path.lastIndexOf(pathSeparator);
+            if (index < 0) {
+                break;
+            }
+            path = path.substring(0, index);
+        }
+        ctx.pathWatcherIds.get(rootDeepPath)?.forEach((id) => deepIds.add(id));
+
+        watcherIds = deepIds.size ? deepIds : null;
+    }
 
     if (!watcherIds) {
         return;
     }
 
+    let custom = [];
+    let runtimes = new Set();
+
     for (let id of watcherIds) {
+        let watcher = getWatcher(id);
+        if (!watcher) {
+            continue;
+        }
+
+        let runtime = watcher[runtimeSym];
+
+        if (runtime.config.devMode) {
+            // store the path that caused the update for debugging purposes
+            watcher[triggerSym] = currentPath;
+
+            watcher[optionsSym]?.onTrigger?.({ watcher: watcher, path: currentPath });
+        }
+
+        // watchers with custom scheduling
+        if (watcher[optionsSym]) {
+            custom.push(watcher);
+            continue;
+        }
+
         // delete previous entry so that it can be appended to the queue
         //
         // note: the call sequence matter because we want to ensure that the
@@ -474,49 +3148,133 @@ function callWatchers(obj, prop, pathWatcherIds) {
         //     !!data.val && data.isValid // where isValid is a getter that also depend on data.val
         // })
         // ```
-        flushQueue.delete(id);
+        runtime.flushQueue.delete(id);
 
-        flushQueue.add(id);
+        runtime.flushQueue.add(id);
 
-        if (flushQueue.size != 1) {
-            continue;
+        runtimes.add(runtime);
+    }
+
+    // note: invoked after the loop because the sync watchers modify the watcherIds set
+    for (let watcher of custom) {
+        scheduleWatcher(watcher, watcher[optionsSym]);
+    }
+
+    for (let runtime of runtimes) {
+        scheduleFlush(runtime);
+    }
+}
+
+function scheduleWatcher(watcher, options) {
+    if (options.debounce != null) {
+        watcher[cancelScheduledSym]?.();
+        let id = setTimeout(() => runScheduled(watcher), options.debounce);
+        watcher[cancelScheduledSym] = () => clearTimeout(id);
+        return;
+    }
+
+    // already scheduled
+    if (watcher[cancelScheduledSym]) {
+        return;
+    }
+
+    if (options.throttle != null) {
+        let wait = Math.max(0, watcher[lastRunSym] + options.throttle - Date.now());
+        let id = setTimeout(() => runScheduled(watcher), wait);
+        watcher[cancelScheduledSym] = () => clearTimeout(id);
+    } else if (options.flush == "frame") {
+        if (typeof requestAnimationFrame == "function") {
+            let id = requestAnimationFrame(() => runScheduled(watcher));
+            watcher[cancelScheduledSym] = () => cancelAnimationFrame(id);
+        } else {
+            let id = setTimeout(() => runScheduled(watcher), 16);
+            watcher[cancelScheduledSym] = () => clearTimeout(id);
+        }
+    } else if (options.flush == "sync" && !watcher[runtimeSym].batchDepth) {
+        // prevent infinite recursion when the watcher changes its own dependencies
+        if (watcher === runningWatcher) {
+            return;
         }
 
-        queueMicrotask(() => {
-            let calls = {};
+        let runtime = watcher[runtimeSym];
 
-            let watcher;
-            for (let runId of flushQueue) {
-                watcher = allWatchers.get(runId);
-                if (!watcher || watcher[unwatchedSym]) {
-                    continue;
-                }
+        // sync watchers that keep triggering each other
+        if (runtime.syncDepth >= runtime.config.loopLimit) {
+            reportError(
+                new Error("Possible infinite loop for sync watcher " + watcher[idSym]),
+                watcher,
+            );
+            return;
+        }
 
-                // if both parent and child watcher exists,
-                // execute only the parent because the child
-                // watchers will be invoked automatically
-                if (watcher[parentSym] && flushQueue.has(watcher[parentSym])) {
-                    continue;
-                }
+        runtime.syncDepth++;
+        try {
+            runScheduled(watcher);
+        } finally {
+            runtime.syncDepth--;
+        }
+    } else {
+        // note: the sync watchers are also queued while batching
+        // so that they run only once at the end of the batch
+        let runtime = watcher[runtimeSym];
+        runtime.flushQueue.delete(watcher[idSym]);
+        runtime.flushQueue.add(watcher[idSym]);
+        scheduleFlush(runtime);
+    }
+}
 
-                calls[runId] = (calls[runId] || 0) + 1;
+function runScheduled(watcher) {
+    watcher[cancelScheduledSym] = null;
 
-                if (calls[runId] > 250) {
-                    // prettier-ignore
-                    console.warn(
-                        "Possible infinite loop for watcher " + runId + ":",
-                        "\nwatch(" +
-                        watcher[trackedFuncSym]?.toString() +
-                        (watcher[optUntrackedFuncSym] ? ", " + watcher[optUntrackedFuncSym].toString() : "") +
-                        ")",
-                    );
-                    continue;
-                }
+    // note: run with cleared tracking context because the sync watchers could be
+    // triggered from another watcher and must not be registered as its children
+    if (!watcher[unwatchedSym]) {
+        runDetached(() => safeRun(watcher));
+    }
+}
 
-                watcher.run();
-            }
+// Runs the watcher and reports its error (if any) so that a single
+// failing watcher doesn't prevent the execution of the other ones.
+function safeRun(watcher) {
+    try {
+        watcher.run();
+    } catch (err) {
+        reportError(err, watcher);
+    }
+}
 
-            flushQueue.clear();
-        });
+function reportError(err, watcher) {
+    let config = (watcher?.[runtimeSym] || rt).config;
+
+    if (config.onError) {
+        config.onError(err, watcher);
+    } else {
+        console.error(err);
+    }
+}
+
+// @internal (used by the addons module)
+export function warn(...args) {
+    if (rt.config.onWarn) {
+        rt.config.onWarn(...args);
+    } else {
+        console.warn(...args);
+    }
+}
+
+function scheduleFlush(runtime) {
+    if (runtime.isFlushScheduled || runtime.isFlushing || runtime.batchDepth) {
+        return;
     }
+
+    runtime.isFlushScheduled = true;
+
+    queueMicrotask(() => {
+        runtime.isFlushScheduled = false;
+
+        // the batch will flush on its own when completed
+        if (!runtime.batchDepth) {
+            flushRuntime(runtime);
+        }
+    });
 }
@@ -1,7 +1,34 @@
 import assert from "node:assert/strict";
 import util from "node:util";
 import { test, describe, beforeEach, afterEach } from "node:test";
-import { watch, store } from "./state.js";
+import {
+    watch,
+    store,
+    flush,
+    nextTick,
+    batch,
+    untrack,
+    computed,
+    readonly,
+    shallowStore,
+    markRaw,
+    scope,
+    createScope,
+    onCleanup,
+    watchAsync,
+    resource,
+    watchPath,
+    inspect,
+    onError,
+    configure,
+    createRuntime,
+    shallowEqual,
+    deepEqual,
+    validationErrors,
+    toRaw,
+    snapshot,
+    subscribe,
+} from "./state.js";
 
 describe("nested watchers", () => {
     let data;
@@ -955,10 +982,18 @@ describe("check nested Proxy wrapping", () => {
         custom: new Custom(),
     });
 
-    test("plain arrays and objects should be wrapped in a Proxy", () => {
+    test("plain arrays, objects and collections should be wrapped in a Proxy", () => {
         assert(util.types.isProxy(data.plainObj));
         assert(util.types.isProxy(data.plainObj2));
         assert(util.types.isProxy(data.plainArr));
+        assert(util.types.isProxy(data.set));
+        assert(util.types.isProxy(data.map));
+        assert(util.types.isProxy(data.weakMap));
+        assert(util.types.isProxy(data.weakSet));
+        assert(data.set instanceof Set);
+        assert(data.map instanceof Map);
+        assert(data.weakMap instanceof WeakMap);
+        assert(data.weakSet instanceof WeakSet);
     });
 
     test("primitive and excluded types should NOT be wrapped in a Proxy", () => {
@@ -966,12 +1001,11 @@ describe("check nested Proxy wrapping", () => {
         assert(typeof data.string == "string");
         assert(typeof data.bool == "boolean");
         assert(data.date instanceof Date);
-        assert(data.set instanceof Set);
-        assert(data.map instanceof Map);
+        assert(!util.types.isProxy(data.date));
         assert(data.weakRef instanceof WeakRef);
-        assert(data.weakMap instanceof WeakMap);
-        assert(data.weakSet instanceof WeakSet);
+        assert(!util.types.isProxy(data.weakRef));
         assert(data.custom instanceof Custom);
+        assert(!util.types.isProxy(data.custom));
     });
 });
 
@@ -1150,3 +1184,3531 @@ describe("JSON.stringify with dynamic store props", () => {
         assert.strictEqual(fired, 1);
     });
 });
+
+describe("store with Map", () => {
+    let data;
+    let fired;
+    const watchers = [];
+
+    beforeEach(() => {
+        data = store({
+            map: new Map([
+                ["a", 1],
+                ["b", { c: 2 }],
+            ]),
+        });
+
+        fired = {
+            a: 0,
+            c: 0,
+            size: 0,
+            iterate: 0,
+        };
+
+        watchers.push(
+            watch(() => {
+                fired.a++;
+                data.map.get("a");
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.c++;
+                data.map.get("b")?.c;
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.size++;
+                data.map.size;
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.iterate++;
+                for (let _ of data.map.values()) {
+                }
+            }),
+        );
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("watchers initialization", async () => {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.a, 1, "fired.a");
+        assert.strictEqual(fired.c, 1, "fired.c");
+        assert.strictEqual(fired.size, 1, "fired.size");
+        assert.strictEqual(fired.iterate, 1, "fired.iterate");
+    });
+
+    test("set existing key", async () => {
+        data.map.set("a", 2);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.map.get("a"), 2, "data.map.a");
+        assert.strictEqual(fired.a, 2, "fired.a");
+        assert.strictEqual(fired.c, 1, "fired.c");
+        assert.strictEqual(fired.size, 1, "fired.size");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+
+    test("set existing key with the same value", async () => {
+        data.map.set("a", 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.a, 1, "fired.a");
+        assert.strictEqual(fired.c, 1, "fired.c");
+        assert.strictEqual(fired.size, 1, "fired.size");
+        assert.strictEqual(fired.iterate, 1, "fired.iterate");
+    });
+
+    test("set new key", async () => {
+        data.map.set("new", 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.a, 1, "fired.a");
+        assert.strictEqual(fired.c, 1, "fired.c");
+        assert.strictEqual(fired.size, 2, "fired.size");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+
+    test("change nested value prop", async () => {
+        data.map.get("b").c++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.a, 1, "fired.a");
+        assert.strictEqual(fired.c, 2, "fired.c");
+        assert.strictEqual(fired.size, 1, "fired.size");
+        assert.strictEqual(fired.iterate, 1, "fired.iterate");
+    });
+
+    test("delete", async () => {
+        data.map.delete("a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.map.has("a"), false, "data.map.has(a)");
+        assert.strictEqual(fired.a, 2, "fired.a");
+        assert.strictEqual(fired.c, 1, "fired.c");
+        assert.strictEqual(fired.size, 2, "fired.size");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+
+    test("clear", async () => {
+        data.map.clear();
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.map.size, 0, "data.map.size");
+        assert.strictEqual(fired.a, 2, "fired.a");
+        assert.strictEqual(fired.size, 2, "fired.size");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+
+    test("keys with the same string representation", async () => {
+        let calls = { number: 0, nested: 0 };
+
+        const w1 = watch(() => {
+            calls.number++;
+            data.map.get(1);
+        });
+
+        const w2 = watch(() => {
+            calls.nested++;
+            data.map.get("b")?.c;
+        });
+
+        data.map.set("1", "a");
+        data.map.set("b/c", "a");
+        data.map.set("%40b", "a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls.number, 1, "number key");
+        assert.strictEqual(calls.nested, 1, "nested key");
+
+        data.map.set(1, "a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls.number, 2, "number key change");
+
+        w1.unwatch();
+        w2.unwatch();
+    });
+});
+
+describe("store with Set", () => {
+    let data;
+    let fired;
+    const watchers = [];
+
+    beforeEach(() => {
+        data = store({
+            tags: new Set(["a"]),
+        });
+
+        fired = {
+            hasA: 0,
+            hasB: 0,
+            iterate: 0,
+        };
+
+        watchers.push(
+            watch(() => {
+                fired.hasA++;
+                data.tags.has("a");
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.hasB++;
+                data.tags.has("b");
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.iterate++;
+                [...data.tags];
+            }),
+        );
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("add new value", async () => {
+        data.tags.add("b");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual([...data.tags], ["a", "b"], "data.tags");
+        assert.strictEqual(fired.hasA, 1, "fired.hasA");
+        assert.strictEqual(fired.hasB, 2, "fired.hasB");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+
+    test("add existing value", async () => {
+        data.tags.add("a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.hasA, 1, "fired.hasA");
+        assert.strictEqual(fired.hasB, 1, "fired.hasB");
+        assert.strictEqual(fired.iterate, 1, "fired.iterate");
+    });
+
+    test("delete", async () => {
+        data.tags.delete("a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.tags.size, 0, "data.tags.size");
+        assert.strictEqual(fired.hasA, 2, "fired.hasA");
+        assert.strictEqual(fired.hasB, 1, "fired.hasB");
+        assert.strictEqual(fired.iterate, 2, "fired.iterate");
+    });
+});
+
+describe("store with WeakMap and WeakSet", () => {
+    let fired = 0;
+
+    const key = {};
+
+    const data = store({
+        weakMap: new WeakMap(),
+        weakSet: new WeakSet(),
+    });
+
+    watch(() => {
+        fired++;
+        data.weakMap.get(key);
+        data.weakSet.has(key);
+    });
+
+    beforeEach(() => {
+        fired = 0;
+    });
+
+    test("WeakMap set", async () => {
+        data.weakMap.set(key, 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.weakMap.get(key), 1);
+        assert.strictEqual(fired, 1);
+    });
+
+    test("WeakSet add", async () => {
+        data.weakSet.add(key);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.weakSet.has(key), true);
+        assert.strictEqual(fired, 1);
+    });
+
+    test("WeakSet add with unrelated object key", async () => {
+        data.weakSet.add({});
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired, 0);
+    });
+});
+
+describe("object keys and in operator tracking", () => {
+    let data;
+    let fired;
+    const watchers = [];
+
+    beforeEach(() => {
+        data = store({
+            items: { a: 1 },
+        });
+
+        fired = {
+            keys: 0,
+            forIn: 0,
+            entries: 0,
+            inCheck: 0,
+        };
+
+        watchers.push(
+            watch(() => {
+                fired.keys++;
+                Object.keys(data.items);
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.forIn++;
+                for (let _ in data.items) {
+                }
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.entries++;
+                Object.entries(data.items);
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.inCheck++;
+                "b" in data.items;
+            }),
+        );
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("adding a new key", async () => {
+        data.items.b = 2;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.keys, 2, "fired.keys");
+        assert.strictEqual(fired.forIn, 2, "fired.forIn");
+        assert.strictEqual(fired.entries, 2, "fired.entries");
+        assert.strictEqual(fired.inCheck, 2, "fired.inCheck");
+    });
+
+    test("changing an existing key", async () => {
+        data.items.a++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.keys, 1, "fired.keys");
+        assert.strictEqual(fired.forIn, 1, "fired.forIn");
+        assert.strictEqual(fired.entries, 2, "fired.entries"); // the value is also read
+        assert.strictEqual(fired.inCheck, 1, "fired.inCheck");
+    });
+
+    test("deleting a key", async () => {
+        delete data.items.a;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(Object.keys(data.items), [], "keys");
+        assert.strictEqual(fired.keys, 2, "fired.keys");
+        assert.strictEqual(fired.forIn, 2, "fired.forIn");
+        assert.strictEqual(fired.entries, 2, "fired.entries");
+        assert.strictEqual(fired.inCheck, 1, "fired.inCheck");
+    });
+
+    test("deleting a missing key", async () => {
+        delete data.items.missing;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.keys, 1, "fired.keys");
+        assert.strictEqual(fired.forIn, 1, "fired.forIn");
+        assert.strictEqual(fired.entries, 1, "fired.entries");
+        assert.strictEqual(fired.inCheck, 1, "fired.inCheck");
+    });
+});
+
+describe("flush, nextTick and batch", () => {
+    let data;
+    let fired;
+    let w;
+
+    beforeEach(() => {
+        data = store({ a: 0, b: 0 });
+
+        fired = 0;
+
+        w = watch(() => {
+            fired++;
+            data.a;
+            data.b;
+        });
+    });
+
+    afterEach(() => {
+        w.unwatch();
+    });
+
+    test("flush should run the pending watchers synchronously", () => {
+        data.a++;
+
+        assert.strictEqual(fired, 1, "[before]");
+
+        flush();
+
+        assert.strictEqual(fired, 2, "[after]");
+    });
+
+    test("flush without pending watchers", () => {
+        flush();
+
+        assert.strictEqual(fired, 1);
+    });
+
+    test("nextTick should resolve after the pending watchers flush", async () => {
+        data.a++;
+
+        await nextTick();
+
+        assert.strictEqual(fired, 2);
+    });
+
+    test("nextTick without pending watchers", async () => {
+        await nextTick();
+
+        assert.strictEqual(fired, 1);
+    });
+
+    test("sync batch should flush once on completion", () => {
+        let result = batch(() => {
+            data.a++;
+            data.b++;
+            return "test";
+        });
+
+        assert.strictEqual(result, "test", "result");
+        assert.strictEqual(fired, 2, "fired");
+    });
+
+    test("nested batch should flush only on the outermost completion", () => {
+        batch(() => {
+            data.a++;
+
+            batch(() => {
+                data.b++;
+            });
+
+            assert.strictEqual(fired, 1, "[inner]");
+        });
+
+        assert.strictEqual(fired, 2, "[outer]");
+    });
+
+    test("async batch should group the changes across awaits", async () => {
+        let promise = batch(async () => {
+            data.a++;
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            data.b++;
+            return "test";
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired, 1, "[before]");
+
+        let result = await promise;
+
+        assert.strictEqual(result, "test", "result");
+        assert.strictEqual(fired, 2, "[after]");
+    });
+
+    test("batch should flush even if the function throws", () => {
+        assert.throws(() => {
+            batch(() => {
+                data.a++;
+                throw new Error("test");
+            });
+        });
+
+        assert.strictEqual(fired, 2);
+    });
+
+    test("flush and batch called inside a watcher should not reparent the flushed ones", () => {
+        let prev = configure({ cleanupDelay: 0 });
+
+        try {
+            for (let flushFunc of [flush, () => batch(() => {})]) {
+                data.a++;
+
+                let comp = watch(() => {
+                    data.b;
+                    flushFunc();
+                });
+
+                assert.strictEqual(inspect(w).parent, null, "parent");
+
+                comp.unwatch();
+
+                data.a++;
+                flush();
+            }
+        } finally {
+            configure(prev);
+        }
+
+        assert.strictEqual(fired, 5);
+    });
+});
+
+describe("untrack", () => {
+    let data;
+    let fired;
+    let outer;
+    const watchers = [];
+
+    beforeEach(() => {
+        data = store({
+            a: 0,
+            b: 0,
+            c: 0,
+            get sum() {
+                return data.a + data.b;
+            },
+        });
+
+        fired = {
+            outer: 0,
+            inner: 0,
+            getter: 0,
+        };
+
+        outer = watch(() => {
+            fired.outer++;
+
+            data.a;
+
+            let result = untrack(() => {
+                data.b;
+
+                // nested watchers should still track their own dependencies
+                watchers.push(
+                    watch(() => {
+                        fired.inner++;
+                        data.c;
+                    }),
+                );
+
+                return "test";
+            });
+
+            assert.strictEqual(result, "test");
+
+            // should continue tracking after the untrack call
+            data.c;
+        });
+        watchers.push(outer);
+
+        watchers.push(
+            watch(() => {
+                fired.getter++;
+                untrack(() => data.sum);
+            }),
+        );
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("changing a tracked prop", async () => {
+        data.a++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.outer, 2, "fired.outer");
+        assert.strictEqual(fired.getter, 1, "fired.getter");
+    });
+
+    test("changing an untracked prop", async () => {
+        data.b++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.outer, 1, "fired.outer");
+        assert.strictEqual(fired.inner, 1, "fired.inner");
+        assert.strictEqual(fired.getter, 1, "fired.getter");
+        assert.strictEqual(data.sum, 1, "data.sum");
+    });
+
+    test("changing a prop tracked after and inside the untrack call", async () => {
+        data.c++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // the inner watcher is executed only once as part of its parent run
+        assert.strictEqual(fired.outer, 2, "fired.outer");
+        assert.strictEqual(fired.inner, 2, "fired.inner");
+    });
+
+    test("unwatching the parent should unwatch also the nested watchers created inside untrack", async () => {
+        outer.unwatch();
+
+        // unwatch is currently debounced!
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        data.c++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.outer, 1, "fired.outer");
+        assert.strictEqual(fired.inner, 1, "fired.inner");
+    });
+
+    test("restore the active watcher on error", async () => {
+        let fired = 0;
+
+        watchers.push(
+            watch(() => {
+                fired++;
+
+                try {
+                    untrack(() => {
+                        throw new Error("test");
+                    });
+                } catch (_) {}
+
+                data.b;
+            }),
+        );
+
+        data.b++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired, 2);
+    });
+});
+
+describe("computed", () => {
+    let a;
+    let b;
+    let sum;
+    let fired;
+    const watchers = [];
+
+    beforeEach(() => {
+        a = store({ val: 1 });
+        b = store({ val: 2 });
+
+        fired = {
+            compute: 0,
+            watch: 0,
+        };
+
+        sum = computed(() => {
+            fired.compute++;
+            return Math.abs(a.val + b.val);
+        });
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("lazy evaluation", () => {
+        assert.strictEqual(fired.compute, 0, "[before]");
+        assert.strictEqual(sum.value, 3, "sum.value");
+        assert.strictEqual(fired.compute, 1, "[after]");
+    });
+
+    test("changing a dependency from one of the stores", async () => {
+        watchers.push(
+            watch(() => {
+                fired.watch++;
+                sum.value;
+            }),
+        );
+
+        b.val = 3;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(sum.value, 4, "sum.value");
+        assert.strictEqual(fired.watch, 2, "fired.watch");
+    });
+
+    test("dependency change without affecting the computed value (aka. cached watch value)", async () => {
+        watchers.push(
+            watch(() => {
+                fired.watch++;
+                sum.value;
+            }),
+        );
+
+        a.val = -5;
+        b.val = 2;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(sum.value, 3, "sum.value");
+        assert.strictEqual(fired.watch, 1, "fired.watch");
+    });
+
+    test("dispose the internal watcher when no longer observed", async () => {
+        let w = watch(() => {
+            sum.value;
+        });
+
+        w.unwatch();
+
+        // unwatch is currently debounced!
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        let compute = fired.compute;
+
+        a.val++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.compute, compute);
+    });
+
+    test("cached reads outside of a watcher", async () => {
+        assert.strictEqual(sum.value, 3, "[no watcher] sum.value");
+        assert.strictEqual(sum.value, 3, "[no watcher] sum.value");
+        assert.strictEqual(fired.compute, 2, "[no watcher] fired.compute");
+
+        watchers.push(
+            watch(() => {
+                sum.value;
+            }),
+        );
+
+        let compute = fired.compute;
+
+        assert.strictEqual(sum.value, 3, "[cached] sum.value");
+        assert.strictEqual(sum.value, 3, "[cached] sum.value");
+        assert.strictEqual(sum.value, 3, "[cached] sum.value");
+        assert.strictEqual(fired.compute, compute, "[cached] fired.compute");
+
+        // pending dependency change
+        a.val = 2;
+
+        assert.strictEqual(sum.value, 4, "[changed] sum.value");
+        assert.strictEqual(fired.compute, compute + 1, "[changed] fired.compute");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        compute = fired.compute;
+
+        assert.strictEqual(sum.value, 4, "[flushed] sum.value");
+        assert.strictEqual(fired.compute, compute, "[flushed] fired.compute");
+    });
+});
+
+describe("getters - nested objects and array items", () => {
+    let data;
+    let fired;
+    const watchers = [];
+
+    function createUser(first, last) {
+        return {
+            first,
+            last,
+            get full() {
+                fired.getterCall++;
+                return (this.first + " " + this.last).trim();
+            },
+        };
+    }
+
+    beforeEach(() => {
+        fired = {
+            getterCall: 0,
+            userWatch: 0,
+            itemWatch: 0,
+        };
+
+        data = store({
+            user: createUser("a", "b"),
+            items: [createUser("c", "d")],
+        });
+
+        watchers.push(
+            watch(() => {
+                fired.userWatch++;
+                data.user.full;
+            }),
+        );
+
+        watchers.push(
+            watch(() => {
+                fired.itemWatch++;
+                data.items[0]?.full;
+            }),
+        );
+    });
+
+    afterEach(() => {
+        watchers.forEach((w) => w.unwatch());
+    });
+
+    test("internal prop initialization", () => {
+        assert.strictEqual(data.user["@@full"], "a b", "data.user.@@full");
+        assert.strictEqual(data.items[0]["@@full"], "c d", "data.items.0.@@full");
+        assert.strictEqual(fired.getterCall, 2, "fired.getterCall");
+    });
+
+    test("changing one of the getter dependency", async () => {
+        data.user.first = "new";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.user.full, "new b", "data.user.full");
+        assert.strictEqual(fired.userWatch, 2, "fired.userWatch");
+        assert.strictEqual(fired.itemWatch, 1, "fired.itemWatch");
+    });
+
+    test("dependency change without affecting the getter value (aka. cached watch value)", async () => {
+        data.user.last += "  ";
+        data.items[0].last += "  ";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.userWatch, 1, "fired.userWatch");
+        assert.strictEqual(fired.itemWatch, 1, "fired.itemWatch");
+    });
+
+    test("array item getter after index change", async () => {
+        data.items.unshift(createUser("e", "f"));
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.itemWatch, 2, "[unshift] fired.itemWatch");
+
+        data.items[1].first = "new";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.items[1].full, "new d", "data.items.1.full");
+        assert.strictEqual(data.items[1]["@@full"], "new d", "data.items.1.@@full");
+    });
+
+    test("replacing the parent object should remove the old getter watcher", async () => {
+        let oldCalls = 0;
+
+        data.user = {
+            first: "o",
+            get full() {
+                oldCalls++;
+                return this.first;
+            },
+        };
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(oldCalls, 1, "[init] oldCalls");
+
+        let oldUser = data.user;
+
+        data.user = createUser("x", "y");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired.userWatch, 3, "fired.userWatch");
+
+        oldUser.first = "old";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(oldCalls, 1, "[after] oldCalls");
+        assert.strictEqual(oldUser["@@full"], "o", "oldUser.@@full");
+        assert.strictEqual(data.user["@@full"], "x y", "data.user.@@full");
+    });
+
+    test("deleting the parent object should remove the old getter watcher", async () => {
+        let oldItem = data.items[0];
+
+        data.items.pop();
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        let calls = fired.getterCall;
+
+        oldItem.first = "old";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(oldItem["@@full"], "c d", "oldItem.@@full");
+        assert.strictEqual(fired.getterCall, calls, "fired.getterCall");
+    });
+});
+
+describe("toRaw", () => {
+    test("root and nested objects", () => {
+        const original = { a: { b: [{ c: 1 }] } };
+
+        const data = store(original);
+
+        assert.strictEqual(toRaw(data), original, "root");
+        assert.strictEqual(toRaw(data.a), original.a, "a");
+        assert.strictEqual(toRaw(data.a.b), original.a.b, "a.b");
+        assert.strictEqual(toRaw(data.a.b[0]), original.a.b[0], "a.b.0");
+
+        // the original data should not be modified with proxies
+        assert(!util.types.isProxy(original.a), "original.a");
+        assert(!util.types.isProxy(original.a.b), "original.a.b");
+        assert(!util.types.isProxy(original.a.b[0]), "original.a.b.0");
+    });
+
+    test("nested proxies in assigned plain objects", () => {
+        const data = store({ a: { b: 1 }, list: [] });
+
+        data.c = { nested: data.a };
+        data.list.push(data.a);
+
+        const raw = toRaw(data);
+
+        assert(!util.types.isProxy(raw.c), "c");
+        assert(!util.types.isProxy(raw.c.nested), "c.nested");
+        assert(!util.types.isProxy(raw.list[0]), "list.0");
+        assert.strictEqual(raw.c.nested, raw.a, "c.nested == a");
+    });
+
+    test("primitives and non-store values", () => {
+        const date = new Date();
+
+        assert.strictEqual(toRaw(1), 1);
+        assert.strictEqual(toRaw(null), null);
+        assert.strictEqual(toRaw(date), date);
+    });
+});
+
+describe("snapshot", () => {
+    const data = store({
+        items: [{ price: 10, tags: ["a"] }, { price: 20 }],
+        map: new Map([["a", { b: 1 }]]),
+        get total() {
+            return data.items.reduce((sum, item) => sum + item.price, 0);
+        },
+        user: {
+            first: "a",
+            last: "b",
+            get full() {
+                return this.first + " " + this.last;
+            },
+        },
+    });
+
+    // initialize the internal getter props
+    const w = watch(() => [data.total, data.user.full]);
+
+    test("plain copy with resolved getters", () => {
+        const copy = snapshot(data);
+
+        assert.deepStrictEqual(copy, {
+            items: [{ price: 10, tags: ["a"] }, { price: 20 }],
+            map: new Map([["a", { b: 1 }]]),
+            total: 30,
+            user: { first: "a", last: "b", full: "a b" },
+        });
+
+        assert(!util.types.isProxy(copy.items), "items");
+        assert(!util.types.isProxy(copy.items[0]), "items.0");
+        assert(!util.types.isProxy(copy.map), "map");
+        assert(!util.types.isProxy(copy.map.get("a")), "map.a");
+        assert(!util.types.isProxy(copy.user), "user");
+    });
+
+    test("no internal props", () => {
+        const copy = snapshot(data);
+
+        assert.strictEqual(Object.getOwnPropertySymbols(copy).length, 0, "root");
+        assert.strictEqual(Object.getOwnPropertySymbols(copy.user).length, 0, "user");
+        assert.strictEqual(Object.getOwnPropertyNames(copy).includes("@@total"), false);
+        assert.strictEqual(
+            Object.getOwnPropertyNames(copy.user).includes("@@full"),
+            false,
+        );
+    });
+
+    test("frozen", () => {
+        const copy = snapshot(data);
+
+        assert(Object.isFrozen(copy), "root");
+        assert(Object.isFrozen(copy.items), "items");
+        assert(Object.isFrozen(copy.items[0]), "items.0");
+        assert(Object.isFrozen(copy.items[0].tags), "items.0.tags");
+        assert(Object.isFrozen(copy.user), "user");
+    });
+
+    test("structured clone", () => {
+        const copy = snapshot(data);
+
+        assert.deepStrictEqual(structuredClone(copy), copy);
+    });
+
+    test("should track the copied props inside watch", async () => {
+        let fired = 0;
+
+        const w = watch(() => {
+            fired++;
+            snapshot(data);
+        });
+
+        data.items[0].tags.push("b");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(fired, 2);
+    });
+
+    test("cleanup", () => {
+        w.unwatch();
+    });
+});
+
+describe("spread of store objects", () => {
+    let fired = 0;
+
+    const data = store({ a: { b: 1 } });
+
+    data.c = { ...data.a };
+
+    watch(() => {
+        fired++;
+        data.c.b;
+    });
+
+    test("the copied object should be reactive", async () => {
+        data.c.b++;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(fired, 2);
+        assert(util.types.isProxy(data.c));
+    });
+});
+
+describe("subscribe", () => {
+    let data;
+    let batches;
+    let unsubscribe;
+
+    beforeEach(() => {
+        data = store({
+            title: "",
+            user: { name: "a" },
+            tags: ["a", "b", "c"],
+            map: new Map(),
+            get titleLength() {
+                return data.title.length;
+            },
+        });
+
+        batches = [];
+
+        unsubscribe = subscribe(data, (changes) => {
+            batches.push(changes);
+        });
+    });
+
+    afterEach(() => {
+        unsubscribe();
+    });
+
+    test("batched set and delete records", async () => {
+        data.title = "test";
+        data.user.name = "b";
+        data.user.age = 1;
+        delete data.user.age;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(batches, [
+            [
+                { path: "title", op: "set", oldValue: "", newValue: "test" },
+                { path: "user/name", op: "set", oldValue: "a", newValue: "b" },
+                { path: "user/age", op: "set", oldValue: undefined, newValue: 1 },
+                { path: "user/age", op: "delete", oldValue: 1, newValue: undefined },
+            ],
+        ]);
+    });
+
+    test("subscriber writing to its own store", async () => {
+        let n = 0;
+
+        const stop = subscribe(data, (changes) => {
+            if (changes.some((c) => c.path != "updatedAt")) {
+                data.updatedAt = ++n;
+            }
+        });
+
+        data.title = "x";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        stop();
+
+        assert.strictEqual(data.updatedAt, 1, "updatedAt");
+        assert.deepStrictEqual(
+            batches.map((b) => b.map((c) => c.path)),
+            [["title"], ["updatedAt"]],
+        );
+    });
+
+    test("subscriber infinite loop", async () => {
+        let errors = [];
+        const removeHandler = onError((err) => errors.push(err.message));
+
+        let n = 0;
+        const stop = subscribe(data, () => {
+            data.updatedAt = ++n;
+        });
+
+        try {
+            data.title = "x";
+            await nextTick();
+        } finally {
+            stop();
+            removeHandler();
+        }
+
+        assert.deepStrictEqual(errors, [
+            "Possible infinite loop in the store subscribers",
+        ]);
+        assert.strictEqual(n, 250, "n");
+    });
+
+    test("setting the same value should not create a record", async () => {
+        data.title = "";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(batches, []);
+    });
+
+    test("array mutations as splice records", async () => {
+        data.tags.push("d");
+        data.tags.splice(0, 2, "x");
+        data.tags.unshift("y");
+        data.tags.length = 1;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(batches, [
+            [
+                { path: "tags", op: "splice", index: 3, oldValue: [], newValue: ["d"] },
+                {
+                    path: "tags",
+                    op: "splice",
+                    index: 0,
+                    oldValue: ["a", "b"],
+                    newValue: ["x"],
+                },
+                { path: "tags", op: "splice", index: 0, oldValue: [], newValue: ["y"] },
+                {
+                    path: "tags",
+                    op: "splice",
+                    index: 1,
+                    oldValue: ["x", "c", "d"],
+                    newValue: [],
+                },
+            ],
+        ]);
+    });
+
+    test("Map records", async () => {
+        data.map.set("a", 1);
+        data.map.set("a", 2);
+        data.map.delete("a");
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(batches, [
+            [
+                { path: "map/a", op: "set", oldValue: undefined, newValue: 1 },
+                { path: "map/a", op: "set", oldValue: 1, newValue: 2 },
+                { path: "map/a", op: "delete", oldValue: 2, newValue: undefined },
+            ],
+        ]);
+    });
+
+    test("separate batch per flush", async () => {
+        data.title = "a";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.title = "b";
+
+        flush();
+
+        assert.strictEqual(batches.length, 2);
+    });
+
+    test("internal getter props should not be recorded", async () => {
+        const w = watch(() => data.titleLength);
+
+        data.title = "abc";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(batches, [
+            [{ path: "title", op: "set", oldValue: "", newValue: "abc" }],
+        ]);
+    });
+
+    test("unsubscribe", async () => {
+        unsubscribe();
+
+        data.title = "test";
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(batches, []);
+    });
+
+    test("non-store argument", () => {
+        assert.throws(() => subscribe({}, () => {}));
+    });
+});
+
+describe("readonly", () => {
+    let originalWarn;
+    let warnings;
+
+    beforeEach(() => {
+        originalWarn = console.warn;
+        warnings = 0;
+        console.warn = () => warnings++;
+    });
+
+    afterEach(() => {
+        console.warn = originalWarn;
+    });
+
+    test("reject writes at any depth", async () => {
+        const data = store({ a: 1, b: { c: { d: 2 } }, list: [{ e: 3 }] });
+
+        const view = readonly(data);
+
+        view.a = 10;
+        view.b.c.d = 20;
+        view.list[0].e = 30;
+        view.list[1] = 40;
+        delete view.b.c;
+        Object.defineProperty(view.b, "f", { value: 50 });
+
+        assert.strictEqual(warnings, 6, "warnings");
+        assert.deepStrictEqual(toRaw(data), {
+            a: 1,
+            b: { c: { d: 2 } },
+            list: [{ e: 3 }],
+        });
+    });
+
+    test("reject array mutators", async () => {
+        const data = store({ list: [3, 1, 2] });
+
+        const view = readonly(data);
+
+        view.list.push(4);
+        view.list.splice(0, 1);
+        view.list.sort();
+        view.list.length = 0;
+
+        assert.strictEqual(warnings, 4, "warnings");
+        assert.deepStrictEqual(toRaw(data.list), [3, 1, 2]);
+    });
+
+    test("reject collection mutators", async () => {
+        const data = store({ map: new Map([["a", { b: 1 }]]), set: new Set(["a"]) });
+
+        const view = readonly(data);
+
+        view.map.set("c", 2);
+        view.map.delete("a");
+        view.map.get("a").b = 10;
+        view.set.add("b");
+        view.set.clear();
+
+        assert.strictEqual(warnings, 5, "warnings");
+        assert.deepStrictEqual([...data.map.keys()], ["a"], "map keys");
+        assert.strictEqual(data.map.get("a").b, 1, "map value");
+        assert.deepStrictEqual([...data.set], ["a"], "set");
+    });
+
+    test("readonly collection reads", async () => {
+        const data = store({ map: new Map([["a", { b: 1 }]]) });
+
+        const view = readonly(data);
+
+        assert.strictEqual(view.map.size, 1, "size");
+        assert.strictEqual(view.map.has("a"), true, "has");
+
+        for (let [_, value] of view.map) {
+            value.b = 10;
+        }
+        for (let value of view.map.values()) {
+            value.b = 20;
+        }
+        view.map.forEach((value) => {
+            value.b = 30;
+        });
+
+        assert.strictEqual(warnings, 3, "warnings");
+        assert.strictEqual(data.map.get("a").b, 1, "b");
+    });
+
+    test("track reads", async () => {
+        const data = store({ user: { name: "a" }, list: [1, 2] });
+
+        const view = readonly(data);
+
+        let result = [];
+
+        const w = watch(() => {
+            result.push(view.user.name + ":" + view.list.join(","));
+        });
+
+        data.user.name = "b";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.list.push(3);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, ["a:1,2", "b:1,2", "b:1,2,3"]);
+    });
+
+    test("getters", async () => {
+        const data = store({
+            first: "a",
+            last: "b",
+            get full() {
+                return this.first + " " + this.last;
+            },
+        });
+
+        const view = readonly(data);
+
+        let result = [];
+
+        const w = watch(() => {
+            result.push(view.full);
+        });
+
+        data.first = "c";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, ["a b", "c b"], "result");
+        assert.strictEqual(warnings, 0, "warnings");
+    });
+
+    test("cached views", async () => {
+        const data = store({ a: { b: 1 } });
+
+        const view = readonly(data);
+
+        assert.strictEqual(readonly(data), view, "same store");
+        assert.strictEqual(readonly(view), view, "readonly of readonly");
+        assert.strictEqual(view.a, view.a, "nested");
+    });
+
+    test("no raw object access", async () => {
+        const data = store({ user: { name: "a" } });
+
+        const view = readonly(data);
+
+        let calls = 0;
+        const w = watch(() => {
+            calls++;
+            data.user.name;
+        });
+
+        const originalWarn = console.warn;
+        let warnings = 0;
+        console.warn = () => warnings++;
+
+        try {
+            view.user.__raw.name = "b";
+            toRaw(view).user.name = "c";
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(data.user.name, "a", "name");
+        assert.strictEqual(toRaw(view), view, "toRaw");
+        assert.strictEqual(warnings, 2, "warnings");
+        assert.strictEqual(calls, 1, "calls");
+    });
+
+    test("assign a view to a store", async () => {
+        const data = store({ user: { name: "a" } });
+        const other = store({ user: null });
+
+        other.user = readonly(data).user;
+
+        assert.strictEqual(toRaw(other.user), toRaw(data.user));
+    });
+
+    test("non-store argument", async () => {
+        assert.throws(() => readonly({}));
+    });
+});
+
+describe("markRaw", () => {
+    test("skip wrapping", async () => {
+        const payload = markRaw({ items: [{ id: 1 }] });
+
+        const data = store({ payload: null, other: { a: 1 } });
+
+        data.payload = payload;
+
+        assert.strictEqual(data.payload, payload, "payload");
+        assert.strictEqual(data.payload.items, payload.items, "items");
+        assert.notStrictEqual(data.other, toRaw(data.other), "other");
+        assert.strictEqual(Object.getOwnPropertySymbols(payload).length, 0, "symbols");
+    });
+
+    test("reactive parent prop", async () => {
+        const data = store({ payload: markRaw({ a: 1 }) });
+
+        let calls = 0;
+
+        const w = watch(() => {
+            data.payload.a;
+            calls++;
+        });
+
+        data.payload.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "nested change");
+
+        data.payload = markRaw({ a: 3 });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "parent change");
+
+        w.unwatch();
+    });
+
+    test("marked frozen objects", async () => {
+        const payload = markRaw(Object.freeze({ items: Object.freeze([1, 2]) }));
+
+        const data = store({ payload });
+
+        assert.deepStrictEqual(data.payload.items, [1, 2]);
+    });
+
+    test("marked collection values", async () => {
+        const item = markRaw({ a: 1 });
+
+        const data = store({ map: new Map([["a", item]]) });
+
+        assert.strictEqual(data.map.get("a"), item);
+    });
+
+    test("snapshot copy", async () => {
+        const payload = markRaw({ items: [{ id: 1 }] });
+
+        const data = store({ payload });
+
+        const copy = snapshot(data);
+
+        assert.notStrictEqual(copy.payload, payload, "payload copy");
+        assert.deepStrictEqual(copy.payload, { items: [{ id: 1 }] });
+        assert(Object.isFrozen(copy.payload), "frozen payload");
+        assert(Object.isFrozen(copy.payload.items[0]), "frozen item");
+        assert(!Object.isFrozen(payload), "original payload");
+    });
+});
+
+describe("shallowStore", () => {
+    test("only top-level props are reactive", async () => {
+        const data = shallowStore({ items: [{ id: 1 }], page: 1 });
+
+        let calls = 0;
+
+        const w = watch(() => {
+            data.page;
+            data.items.length;
+            data.items[0]?.id;
+            calls++;
+        });
+
+        data.items.push({ id: 2 });
+        data.items[0].id = 10;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "nested change");
+
+        data.items = [{ id: 3 }];
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "items replace");
+
+        data.page++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 3, "page change");
+
+        w.unwatch();
+    });
+
+    test("no nested proxies", async () => {
+        const items = [{ id: 1 }];
+
+        const data = shallowStore({ items });
+
+        assert.strictEqual(data.items, items, "items");
+        assert.strictEqual(data.items[0], items[0], "item");
+        assert.strictEqual(Object.getOwnPropertySymbols(items).length, 0, "symbols");
+    });
+
+    test("top-level getters", async () => {
+        const data = shallowStore({
+            items: [1, 2],
+            get total() {
+                return this.items.length;
+            },
+        });
+
+        let result = [];
+
+        const w = watch(() => {
+            result.push(data.total);
+        });
+
+        data.items = [1, 2, 3];
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, [2, 3]);
+    });
+});
+
+describe("scope", () => {
+    test("dispose all scope watchers", async () => {
+        const data = store({ count: 0 });
+
+        let calls = [0, 0, 0];
+
+        const s = scope(() => {
+            watch(() => {
+                data.count;
+                calls[0]++;
+            });
+
+            watch(() => {
+                data.count;
+                calls[1]++;
+
+                // nested
+                watch(() => {
+                    data.count;
+                    calls[2]++;
+                });
+            });
+        });
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(calls, [2, 2, 2], "[before dispose]");
+
+        s.dispose();
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(calls, [2, 2, 2], "[after dispose]");
+    });
+
+    test("watchers created outside of the scope", async () => {
+        const data = store({ count: 0 });
+
+        let calls = 0;
+
+        const s = scope(() => {});
+
+        const w = watch(() => {
+            data.count;
+            calls++;
+        });
+
+        s.dispose();
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(calls, 2);
+    });
+
+    test("createScope and multiple run calls", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        let calls = 0;
+
+        const s = createScope();
+
+        const result = s.run(() => {
+            watch(() => {
+                data.a;
+                calls++;
+            });
+            return "test";
+        });
+
+        s.run(() => {
+            watch(() => {
+                data.b;
+                calls++;
+            });
+        });
+
+        assert.strictEqual(result, "test", "result");
+
+        s.dispose();
+
+        data.a++;
+        data.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 2, "calls");
+    });
+
+    test("nested scopes", async () => {
+        const data = store({ count: 0 });
+
+        let calls = 0;
+
+        const s = scope(() => {
+            scope(() => {
+                watch(() => {
+                    data.count;
+                    calls++;
+                });
+            });
+        });
+
+        s.dispose();
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 1);
+    });
+
+    test("computed values", async () => {
+        const data = store({ count: 0 });
+
+        let computedCalls = 0;
+        let c;
+
+        const s = scope(() => {
+            c = computed(() => {
+                computedCalls++;
+                return data.count * 2;
+            });
+        });
+
+        // used by a watcher outside of the scope
+        const w = watch(() => c.value);
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(computedCalls, 2, "[before dispose]");
+
+        s.dispose();
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(computedCalls, 2, "[after dispose]");
+
+        w.unwatch();
+    });
+
+    test("getter watchers", async () => {
+        const data = store({
+            count: 0,
+            get double() {
+                getterCalls++;
+                return this.count * 2;
+            },
+        });
+
+        let getterCalls = 0;
+
+        const s = scope(() => {
+            watch(() => data.double);
+        });
+
+        s.dispose();
+
+        // wait for the watchers removal
+        await new Promise((resolve) => setTimeout(resolve, 60));
+
+        getterCalls = 0;
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(getterCalls, 0);
+    });
+});
+
+describe("onCleanup", () => {
+    test("call before the next run", async () => {
+        const data = store({ count: 0 });
+
+        let log = [];
+
+        const w = watch(() => {
+            let count = data.count;
+            log.push("run " + count);
+            onCleanup(() => log.push("cleanup " + count));
+        });
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(log, [
+            "run 0",
+            "cleanup 0",
+            "run 1",
+            "cleanup 1",
+            "run 2",
+        ]);
+    });
+
+    test("call on watcher removal", async () => {
+        const data = store({ count: 0 });
+
+        let cleanups = 0;
+
+        const w = watch(() => {
+            data.count;
+            onCleanup(() => cleanups++);
+            onCleanup(() => cleanups++);
+        });
+
+        w.unwatch();
+
+        // wait for the watchers removal
+        await new Promise((resolve) => setTimeout(resolve, 60));
+
+        assert.strictEqual(cleanups, 2);
+    });
+
+    test("untracked func", async () => {
+        const data = store({ count: 0 });
+
+        let log = [];
+
+        const w = watch(
+            () => data.count,
+            (count) => {
+                onCleanup(() => log.push("cleanup " + count));
+            },
+        );
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(log, ["cleanup 0"]);
+    });
+
+    test("nested watchers", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        let log = [];
+
+        const w = watch(() => {
+            data.a;
+
+            onCleanup(() => log.push("outer"));
+
+            watch(() => {
+                data.b;
+                onCleanup(() => log.push("inner"));
+            });
+
+            onCleanup(() => log.push("outer2"));
+        });
+
+        data.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(log, ["inner"], "[inner change]");
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(log, ["inner", "outer", "outer2"], "[outer change]");
+
+        w.unwatch();
+    });
+
+    test("outside of a watcher", async () => {
+        const originalWarn = console.warn;
+        let warnings = 0;
+        console.warn = () => warnings++;
+
+        try {
+            onCleanup(() => {});
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.strictEqual(warnings, 1);
+    });
+
+    test("failing cleanup", async () => {
+        const data = store({ count: 0 });
+
+        let errors = [];
+        const removeHandler = onError((err) => errors.push(err.message));
+        const prev = configure({ cleanupDelay: 0 });
+
+        let runs = 0;
+        let cleanups = 0;
+
+        const w = watch(() => {
+            data.count;
+            runs++;
+            onCleanup(() => {
+                throw new Error("cleanup");
+            });
+            onCleanup(() => cleanups++);
+        });
+
+        try {
+            data.count++;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            data.count++;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        } finally {
+            w.unwatch();
+            removeHandler();
+            configure(prev);
+        }
+
+        assert.strictEqual(runs, 3, "runs");
+        assert.strictEqual(cleanups, 3, "cleanups");
+        assert.deepStrictEqual(errors, ["cleanup", "cleanup", "cleanup"]);
+    });
+});
+
+describe("watchAsync", () => {
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            let id = setTimeout(resolve, ms);
+            signal?.addEventListener("abort", () => {
+                clearTimeout(id);
+                reject(signal.reason);
+            });
+        });
+    }
+
+    test("ignore the results of stale runs", async () => {
+        const data = store({ id: 1, result: "" });
+
+        let delays = { 1: 20, 2: 5 };
+
+        const w = watchAsync(
+            async () => {
+                let id = data.id;
+                await delay(delays[id]);
+                return "result" + id;
+            },
+            (result) => {
+                data.result = result;
+            },
+        );
+
+        data.id = 2;
+        await new Promise((resolve) => setTimeout(resolve, 40));
+
+        w.unwatch();
+
+        assert.strictEqual(data.result, "result2");
+    });
+
+    test("abort signal", async () => {
+        const data = store({ id: 1 });
+
+        let signals = [];
+
+        const w = watchAsync(async (signal) => {
+            data.id;
+            signals.push(signal);
+            await delay(10, signal);
+        });
+
+        data.id++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(
+            signals.map((s) => s.aborted),
+            [true, false],
+            "[after change]",
+        );
+
+        w.unwatch();
+
+        assert.strictEqual(signals[1].aborted, true, "[after unwatch]");
+    });
+
+    test("track only before the first await", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        let calls = 0;
+
+        const w = watchAsync(async () => {
+            data.a;
+            calls++;
+            await Promise.resolve();
+            data.b;
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "b change");
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "a change");
+
+        w.unwatch();
+    });
+
+    test("ignore errors of aborted runs", async () => {
+        const data = store({ id: 1 });
+
+        let errors = [];
+
+        const removeHandler = onError((err) => errors.push(err.message));
+
+        try {
+            const w = watchAsync(async (signal) => {
+                if (data.id > 2) {
+                    throw new Error("test");
+                }
+                await delay(10, signal);
+            });
+
+            data.id++; // abort the first run
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            data.id++; // error
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            w.unwatch();
+        } finally {
+            removeHandler();
+        }
+
+        assert.deepStrictEqual(errors, ["test"]);
+    });
+
+    test("callback errors", async () => {
+        let errors = [];
+
+        const removeHandler = onError((err) => errors.push(err.message));
+
+        try {
+            const w = watchAsync(
+                async () => 1,
+                () => {
+                    throw new Error("callback");
+                },
+            );
+
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            w.unwatch();
+        } finally {
+            removeHandler();
+        }
+
+        assert.deepStrictEqual(errors, ["callback"]);
+    });
+});
+
+describe("resource", () => {
+    test("fetch on source change", async () => {
+        const data = store({ id: 1 });
+
+        let calls = [];
+
+        const r = resource(
+            () => data.id,
+            async (id) => {
+                calls.push(id);
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                return "user" + id;
+            },
+        );
+
+        assert.strictEqual(r.loading, true, "[initial] loading");
+        assert.strictEqual(r.data, undefined, "[initial] data");
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.strictEqual(r.loading, false, "[loaded] loading");
+        assert.strictEqual(r.data, "user1", "[loaded] data");
+        assert.strictEqual(r(), "user1", "[loaded] r()");
+
+        data.id = 2;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.strictEqual(r.data, "user2", "[changed] data");
+        assert.deepStrictEqual(calls, [1, 2], "calls");
+
+        r.unwatch();
+    });
+
+    test("cancel superseded requests", async () => {
+        const data = store({ id: 1 });
+
+        let signals = [];
+
+        const r = resource(
+            () => data.id,
+            async (id, { signal }) => {
+                signals.push(signal);
+                await new Promise((resolve) => setTimeout(resolve, id == 1 ? 20 : 5));
+                return "user" + id;
+            },
+        );
+
+        data.id = 2;
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        assert.strictEqual(signals[0].aborted, true, "aborted");
+        assert.strictEqual(r.data, "user2", "data");
+        assert.strictEqual(r.loading, false, "loading");
+
+        r.unwatch();
+    });
+
+    test("refetch inside a watcher", async () => {
+        const data = store({ a: 1 });
+
+        let fetches = 0;
+
+        const r = resource(async () => ++fetches);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        let pending;
+        const w = watch(() => {
+            data.a;
+            pending = r.refetch();
+        });
+
+        await pending;
+
+        assert.strictEqual(r.data, 2, "data");
+        assert.strictEqual(inspect(w).children.length, 0, "children");
+
+        w.unwatch();
+
+        assert.strictEqual(await r.refetch(), undefined, "refetch result");
+        assert.strictEqual(r.data, 3, "[after unwatch] data");
+
+        r.unwatch();
+    });
+
+    test("error", async () => {
+        const data = store({ fail: true });
+
+        const r = resource(
+            () => data,
+            async (d) => {
+                if (d.fail) {
+                    throw new Error("test");
+                }
+                return "ok";
+            },
+        );
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(r.error?.message, "test", "[failed] error");
+        assert.strictEqual(r.loading, false, "[failed] loading");
+
+        data.fail = false;
+        r.refetch();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(r.error, null, "[refetched] error");
+        assert.strictEqual(r.data, "ok", "[refetched] data");
+
+        r.unwatch();
+    });
+
+    test("skip falsy source", async () => {
+        const data = store({ id: null });
+
+        let calls = 0;
+
+        const r = resource(
+            () => data.id,
+            async () => {
+                calls++;
+            },
+        );
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 0, "calls");
+        assert.strictEqual(r.loading, false, "loading");
+
+        r.unwatch();
+    });
+
+    test("without source, refetch and mutate", async () => {
+        let calls = 0;
+
+        const r = resource(async () => ++calls);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(r.data, 1, "[initial]");
+
+        r.refetch();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(r.data, 2, "[refetch]");
+
+        r.mutate(10);
+        assert.strictEqual(r.data, 10, "[mutate]");
+
+        r.unwatch();
+    });
+
+    test("reactive state", async () => {
+        const r = resource(async () => "test");
+
+        let result = [];
+
+        const w = watch(() => {
+            result.push([r.loading, r()]);
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+        r.unwatch();
+
+        assert.deepStrictEqual(result, [
+            [true, undefined],
+            [false, "test"],
+        ]);
+    });
+});
+
+describe("watch scheduling options", () => {
+    test("sync", async () => {
+        const data = store({ count: 0 });
+
+        let result = [];
+
+        const w = watch(() => result.push(data.count), { flush: "sync" });
+
+        data.count++;
+        data.count++;
+
+        assert.deepStrictEqual(result, [0, 1, 2]);
+
+        w.unwatch();
+    });
+
+    test("sync watcher changing its own dependency", async () => {
+        const data = store({ count: 0 });
+
+        const w = watch(
+            () => {
+                if (data.count < 0) {
+                    data.count = 0;
+                }
+            },
+            { flush: "sync" },
+        );
+
+        data.count = -5;
+
+        assert.strictEqual(data.count, 0);
+
+        w.unwatch();
+    });
+
+    test("sync watcher inside batch", async () => {
+        const data = store({ count: 0 });
+
+        let result = [];
+
+        const w = watch(() => result.push(data.count), { flush: "sync" });
+
+        batch(() => {
+            data.count++;
+            data.count++;
+            data.count++;
+
+            assert.deepStrictEqual(result, [0], "[inside batch]");
+        });
+
+        assert.deepStrictEqual(result, [0, 3], "[after batch]");
+
+        w.unwatch();
+    });
+
+    test("sync watchers infinite loop", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        let errors = [];
+        const removeHandler = onError((err) => errors.push(err.message));
+
+        let w1, w2;
+        try {
+            w1 = watch(
+                () => {
+                    data.b = data.a + 1;
+                },
+                { flush: "sync" },
+            );
+            w2 = watch(
+                () => {
+                    data.a = data.b + 1;
+                },
+                { flush: "sync" },
+            );
+        } finally {
+            removeHandler();
+            w1?.unwatch();
+            w2?.unwatch();
+        }
+
+        assert.strictEqual(errors.length, 1, "errors");
+        assert.match(errors[0], /Possible infinite loop for sync watcher/);
+    });
+
+    test("sync watcher with getter and computed dependencies", async () => {
+        const data = store({
+            a: 1,
+            get double() {
+                return this.a * 2;
+            },
+        });
+
+        const triple = computed(() => data.a * 3);
+
+        let result = [];
+
+        const w = watch(
+            () => [data.double, triple.value],
+            (v) => result.push(v),
+            {
+                flush: "sync",
+            },
+        );
+
+        data.a = 2;
+
+        // note: the intermediate results depend on the getters update order
+        assert.deepStrictEqual(result[0], [2, 3], "initial");
+        assert.deepStrictEqual(result[result.length - 1], [4, 6], "after change");
+
+        w.unwatch();
+    });
+
+    test("sync watcher triggered by another watcher", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        let result = [];
+
+        let prev = configure({ cleanupDelay: 0 });
+
+        try {
+            const syncWatcher = watch(() => result.push(data.b), { flush: "sync" });
+
+            const writer = watch(() => {
+                data.b = data.a + 1;
+            });
+
+            assert.strictEqual(inspect(syncWatcher).parent, null, "parent");
+
+            writer.unwatch();
+
+            data.b = 5;
+
+            assert.deepStrictEqual(result, [0, 1, 5]);
+
+            syncWatcher.unwatch();
+        } finally {
+            configure(prev);
+        }
+    });
+
+    test("frame", async () => {
+        const data = store({ count: 0 });
+
+        let result = [];
+
+        const w = watch(() => result.push(data.count), { flush: "frame" });
+
+        data.count++;
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(result, [0], "[before frame]");
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        assert.deepStrictEqual(result, [0, 2], "[after frame]");
+
+        w.unwatch();
+    });
+
+    test("debounce", async () => {
+        const data = store({ count: 0 });
+
+        let result = [];
+
+        const w = watch(() => result.push(data.count), { debounce: 20 });
+
+        for (let i = 0; i < 3; i++) {
+            data.count++;
+            await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+
+        assert.deepStrictEqual(result, [0], "[before debounce]");
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        assert.deepStrictEqual(result, [0, 3], "[after debounce]");
+
+        w.unwatch();
+    });
+
+    test("throttle", async () => {
+        const data = store({ count: 0 });
+
+        let result = [];
+
+        const w = watch(() => result.push(data.count), { throttle: 30 });
+
+        for (let i = 0; i < 5; i++) {
+            data.count++;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 40));
+
+        w.unwatch();
+
+        assert.ok(result.length >= 2 && result.length <= 4, "calls " + result.length);
+        assert.strictEqual(result[result.length - 1], 5, "last");
+    });
+
+    test("immediate: false", async () => {
+        const data = store({ count: 0 });
+
+        let tracked = 0;
+        let result = [];
+
+        const w = watch(
+            () => {
+                tracked++;
+                return data.count;
+            },
+            (count) => result.push(count),
+            { immediate: false },
+        );
+
+        assert.strictEqual(tracked, 1, "tracked");
+        assert.deepStrictEqual(result, [], "[initial]");
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(result, [1], "[change]");
+
+        w.unwatch();
+    });
+
+    test("cancel scheduled run on unwatch", async () => {
+        const data = store({ count: 0 });
+
+        let calls = 0;
+
+        const w = watch(
+            () => {
+                data.count;
+                calls++;
+            },
+            { debounce: 10 },
+        );
+
+        data.count++;
+        w.unwatch();
+
+        await new Promise((resolve) => setTimeout(resolve, 70));
+
+        assert.strictEqual(calls, 1);
+    });
+});
+
+describe("watchPath", () => {
+    test("path value change", async () => {
+        const data = store({ a: { b: { c: 1 } }, other: 1 });
+
+        let result = [];
+
+        const w = watchPath(data, "a/b/c", (newVal, oldVal) => {
+            result.push([newVal, oldVal]);
+        });
+
+        data.a.b.c = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.other++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // ancestor replace
+        data.a = { b: { c: 3 } };
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // ancestor replace with the same value
+        data.a = { b: { c: 3 } };
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        delete data.a;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.a = { b: { c: 4 } };
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, [
+            [2, 1],
+            [3, 2],
+            [undefined, 3],
+            [4, undefined],
+        ]);
+    });
+
+    test("immediate", async () => {
+        const data = store({ a: 1 });
+
+        let result = [];
+
+        const w = watchPath(
+            data,
+            "a",
+            (newVal, oldVal) => result.push([newVal, oldVal]),
+            {
+                immediate: true,
+            },
+        );
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, [[1, undefined]]);
+    });
+
+    test("deep", async () => {
+        const data = store({
+            user: { name: "a", tags: ["x"], meta: new Map() },
+            other: 1,
+        });
+
+        let calls = 0;
+
+        const w = watchPath(data, "user", () => calls++, { deep: true });
+
+        data.user.name = "b";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "nested set");
+
+        data.user.tags.unshift("y");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "array index shift");
+
+        data.user.meta.set("k", 1);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 3, "map set");
+
+        delete data.user.name;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 4, "delete");
+
+        data.user.extra = { a: 1 };
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 5, "new prop");
+
+        data.user.extra.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 6, "new prop change");
+
+        data.other++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 6, "unrelated change");
+
+        data.user = { name: "c" };
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 7, "replace");
+
+        data.user.name = "d";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 8, "replaced nested set");
+
+        w.unwatch();
+    });
+
+    test("deep array item path", async () => {
+        const data = store({ list: [{ a: 1 }, { a: 2 }] });
+
+        let result = [];
+
+        const w = watchPath(data, "list/0", (item) => result.push(item.a), {
+            deep: true,
+        });
+
+        data.list[0].a = 10;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // the item at index 0 is replaced by the shift
+        data.list.unshift({ a: 0 });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // no longer at index 0
+        data.list[1].a = 20;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.list[0].a = 30;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, [10, 0, 30]);
+    });
+
+    test("deep nested store child", async () => {
+        const data = store({ a: { b: { c: 1 } } });
+
+        let calls = 0;
+
+        const w = watchPath(data.a, "b", () => calls++, { deep: true });
+
+        data.a.b.c++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(calls, 1);
+    });
+
+    test("deep root", async () => {
+        const data = store({ a: { b: 1 }, c: [] });
+
+        let calls = 0;
+
+        const w = watchPath(data, "", () => calls++, { deep: true });
+
+        data.a.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.c.push(1);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(calls, 2);
+    });
+
+    test("unwatch", async () => {
+        const data = store({ a: { b: 1 } });
+
+        let calls = 0;
+
+        const w = watchPath(data, "a", () => calls++, { deep: true });
+
+        w.unwatch();
+
+        data.a.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 0);
+    });
+
+    test("non-store argument", async () => {
+        assert.throws(() => watchPath({}, "a", () => {}));
+    });
+});
+
+describe("inspect", () => {
+    test("watcher info", async () => {
+        const data = store({ a: 1, b: { c: 2 }, d: 3 });
+
+        let inner;
+
+        const w = watch(() => {
+            data.a;
+            data.b.c;
+
+            inner = watch(() => data.d);
+        });
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        let info = inspect(w);
+
+        assert.strictEqual(info.runs, 2, "runs");
+        assert.deepStrictEqual(info.paths.sort(), ["a", "b", "b/c"], "paths");
+        assert.strictEqual(info.trigger, "a", "trigger");
+        assert.strictEqual(info.parent, null, "parent");
+        assert.ok(info.children.includes(inspect(inner).id), "children");
+        assert.strictEqual(inspect(inner).parent, info.id, "inner parent");
+        assert.strictEqual(typeof info.trackedFunc, "function", "trackedFunc");
+
+        w.unwatch();
+    });
+
+    test("list active watchers", async () => {
+        const data = store({ a: 1 });
+
+        const w1 = watch(() => data.a);
+        const w2 = watch(() => data.a);
+
+        let ids = inspect().map((info) => info.id);
+
+        assert.ok(ids.includes(inspect(w1).id), "[before] w1");
+        assert.ok(ids.includes(inspect(w2).id), "[before] w2");
+
+        w1.unwatch();
+
+        ids = inspect().map((info) => info.id);
+
+        assert.ok(!ids.includes(inspect(w1).id), "[after] w1");
+        assert.ok(ids.includes(inspect(w2).id), "[after] w2");
+
+        w2.unwatch();
+    });
+
+    test("sequential ids", async () => {
+        const w1 = watch(() => {});
+        const w2 = watch(() => {});
+
+        assert.strictEqual(
+            +inspect(w2).id.substring(1),
+            +inspect(w1).id.substring(1) + 1,
+        );
+
+        w1.unwatch();
+        w2.unwatch();
+    });
+
+    test("moved array item paths", async () => {
+        const data = store({ list: [{ a: 1 }] });
+
+        const w = watch(() => data.list[0].a);
+
+        data.list.unshift({ a: 0 });
+
+        assert.ok(inspect(w).paths.includes("list/1/a"));
+
+        w.unwatch();
+    });
+
+    test("onTrack and onTrigger", async () => {
+        const data = store({ a: 1, b: 2 });
+
+        let tracked = [];
+        let triggered = [];
+
+        const w = watch(
+            () => {
+                data.a;
+                data.a;
+                data.b;
+            },
+            {
+                onTrack: (e) => tracked.push(e.path),
+                onTrigger: (e) => triggered.push(e.path),
+            },
+        );
+
+        data.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(tracked, ["a", "b", "a", "b"], "tracked");
+        assert.deepStrictEqual(triggered, ["b"], "triggered");
+    });
+});
+
+describe("onError", () => {
+    let errors;
+    let removeHandler;
+
+    beforeEach(() => {
+        errors = [];
+        removeHandler = onError((err, watcher) => errors.push([err, watcher]));
+    });
+
+    afterEach(() => {
+        removeHandler();
+    });
+
+    test("isolate the failing subscribers", async () => {
+        const data1 = store({ count: 0 });
+        const data2 = store({ count: 0 });
+
+        let received = [];
+
+        const unsubscribe1 = subscribe(data1, () => {
+            throw new Error("subscriber");
+        });
+        const unsubscribe2 = subscribe(data1, (changes) => received.push(changes.length));
+        const unsubscribe3 = subscribe(data2, (changes) => received.push(changes.length));
+
+        data1.count++;
+        data2.count++;
+        await nextTick();
+
+        unsubscribe1();
+        unsubscribe2();
+        unsubscribe3();
+
+        assert.deepStrictEqual(received, [1, 1], "received");
+        assert.strictEqual(errors.length, 1, "errors");
+        assert.strictEqual(errors[0][0].message, "subscriber", "error message");
+    });
+
+    test("isolate the failing watchers", async () => {
+        const data = store({ count: 0 });
+
+        let calls = 0;
+
+        const w1 = watch(() => {
+            if (data.count > 0) {
+                throw new Error("test");
+            }
+        });
+
+        const w2 = watch(() => {
+            data.count;
+            calls++;
+        });
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 2, "calls");
+        assert.strictEqual(errors.length, 1, "errors");
+        assert.strictEqual(errors[0][0].message, "test", "error message");
+        assert.strictEqual(errors[0][1], w1, "error watcher");
+
+        // the queue is not stuck
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 3, "calls after");
+        assert.strictEqual(errors.length, 2, "errors after");
+
+        w1.unwatch();
+        w2.unwatch();
+    });
+
+    test("restore the active watcher after error", async () => {
+        const data = store({ a: 0, b: 0 });
+
+        const w1 = watch(() => {
+            if (data.a > 0) {
+                throw new Error("test");
+            }
+        });
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        // should not be tracked by the failed watcher
+        data.b;
+
+        let calls = 0;
+
+        const w2 = watch(() => {
+            data.b;
+            calls++;
+        });
+
+        data.b++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 2, "calls");
+        assert.strictEqual(errors.length, 1, "errors");
+
+        w1.unwatch();
+        w2.unwatch();
+    });
+
+    test("infinite loop", async () => {
+        const data = store({ count: 0 });
+
+        const w = watch(() => {
+            data.count = data.count + 1;
+        });
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(errors.length, 1, "errors");
+        assert.ok(errors[0][0] instanceof Error, "instanceof Error");
+        assert.ok(errors[0][0].message.includes("infinite loop"), "message");
+        assert.strictEqual(errors[0][1], w, "watcher");
+    });
+
+    test("scheduled watchers", async () => {
+        const data = store({ count: 0 });
+
+        const w = watch(
+            () => {
+                if (data.count > 0) {
+                    throw new Error("test");
+                }
+            },
+            { flush: "sync" },
+        );
+
+        data.count++;
+
+        assert.strictEqual(errors.length, 1);
+
+        w.unwatch();
+    });
+
+    test("default to console.error", async () => {
+        removeHandler();
+
+        const data = store({ count: 0 });
+
+        const originalError = console.error;
+        let logged = [];
+        console.error = (err) => logged.push(err);
+
+        try {
+            const w = watch(() => {
+                if (data.count > 0) {
+                    throw new Error("test");
+                }
+            });
+
+            data.count++;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            w.unwatch();
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(logged.length, 1);
+        assert.strictEqual(logged[0].message, "test");
+    });
+});
+
+describe("configure", () => {
+    let prev;
+
+    afterEach(() => {
+        configure(prev);
+    });
+
+    test("return the previous values", async () => {
+        prev = configure({ loopLimit: 10 });
+
+        assert.deepStrictEqual(prev, { loopLimit: 250 });
+    });
+
+    test("cleanupDelay: 0", async () => {
+        prev = configure({ cleanupDelay: 0 });
+
+        const data = store({ a: 1 });
+
+        let cleanups = 0;
+
+        const w = watch(() => {
+            data.a;
+            onCleanup(() => cleanups++);
+        });
+
+        w.unwatch();
+
+        assert.strictEqual(cleanups, 1, "cleanups");
+        assert.strictEqual(
+            inspect().some((info) => info.id == inspect(w).id),
+            false,
+            "removed",
+        );
+    });
+
+    test("cleanupDelay", async () => {
+        prev = configure({ cleanupDelay: 5 });
+
+        let cleanups = 0;
+
+        const w = watch(() => {
+            onCleanup(() => cleanups++);
+        });
+
+        w.unwatch();
+
+        assert.strictEqual(cleanups, 0, "[before]");
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.strictEqual(cleanups, 1, "[after]");
+    });
+
+    test("loopLimit", async () => {
+        let errors = [];
+
+        prev = configure({ loopLimit: 5, onError: (err) => errors.push(err) });
+
+        const data = store({ count: 0 });
+
+        const w = watch(() => {
+            data.count = data.count + 1;
+        });
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(errors.length, 1, "errors");
+        assert.ok(data.count < 10, "count " + data.count);
+    });
+
+    test("onWarn", async () => {
+        let warnings = [];
+
+        prev = configure({ onWarn: (...args) => warnings.push(args.join(" ")) });
+
+        onCleanup(() => {});
+
+        readonly(store({ a: 1 })).a = 2;
+
+        assert.strictEqual(warnings.length, 2);
+    });
+
+    test("devMode: false", async () => {
+        prev = configure({ devMode: false });
+
+        const data = store({ a: 1 });
+
+        let events = 0;
+
+        const w = watch(() => data.a, {
+            onTrack: () => events++,
+            onTrigger: () => events++,
+        });
+
+        data.a++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.strictEqual(events, 0, "events");
+        assert.strictEqual(inspect(w).trigger, null, "trigger");
+    });
+
+    test("unknown option", async () => {
+        let warnings = 0;
+
+        prev = configure({ onWarn: () => warnings++ });
+
+        configure({ missing: 1 });
+
+        assert.strictEqual(warnings, 1);
+    });
+});
+
+describe("createRuntime", () => {
+    let app1;
+    let app2;
+
+    beforeEach(() => {
+        app1 = createRuntime();
+        app2 = createRuntime();
+    });
+
+    afterEach(() => {
+        app1.destroy();
+        app2.destroy();
+    });
+
+    test("independent watchers", async () => {
+        const data1 = app1.store({ count: 0 });
+        const data2 = app2.store({ count: 0 });
+
+        let result = [];
+
+        app1.watch(() => result.push("app1:" + data1.count));
+        app2.watch(() => result.push("app2:" + data2.count));
+
+        data1.count++;
+        data2.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(result, ["app1:0", "app2:0", "app1:1", "app2:1"]);
+    });
+
+    test("separate batches", async () => {
+        const data1 = app1.store({ count: 0 });
+        const data2 = app2.store({ count: 0 });
+
+        let result = [];
+
+        app1.watch(() => result.push("app1:" + data1.count));
+        app2.watch(() => result.push("app2:" + data2.count));
+
+        app1.batch(() => {
+            data1.count++;
+            data2.count++;
+
+            // the app2 flush is not deferred by the app1 batch
+            app2.flush();
+        });
+
+        assert.deepStrictEqual(result, ["app1:0", "app2:0", "app2:1", "app1:1"]);
+    });
+
+    test("separate settings and error handlers", async () => {
+        let errors1 = [];
+        let errors2 = [];
+
+        app1.onError((err) => errors1.push(err.message));
+        app2.configure({ onError: (err) => errors2.push(err.message) });
+
+        const data = app1.store({ count: 0 });
+
+        app1.watch(() => {
+            if (data.count > 0) {
+                throw new Error("app1");
+            }
+        });
+
+        app2.watch(() => {
+            if (data.count > 1) {
+                throw new Error("app2");
+            }
+        });
+
+        data.count = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(errors1, ["app1"], "errors1");
+        assert.deepStrictEqual(errors2, ["app2"], "errors2");
+    });
+
+    test("nested watchers belong to the parent runtime", async () => {
+        const data = store({ count: 0 });
+
+        let inner;
+
+        app1.watch(() => {
+            inner = watch(() => data.count);
+        });
+
+        assert.ok(
+            app1.inspect().some((info) => info.id == inspect(inner).id),
+            "app1",
+        );
+        assert.ok(!inspect().some((info) => info.id == inspect(inner).id), "default");
+    });
+
+    test("inspect", async () => {
+        const w1 = app1.watch(() => {});
+        const w2 = app2.watch(() => {});
+
+        assert.deepStrictEqual(
+            app1.inspect().map((info) => info.id),
+            [inspect(w1).id],
+            "app1",
+        );
+        assert.deepStrictEqual(
+            app2.inspect().map((info) => info.id),
+            [inspect(w2).id],
+            "app2",
+        );
+    });
+
+    test("run", async () => {
+        let w;
+
+        app1.run(() => {
+            w = watch(() => {});
+        });
+
+        assert.strictEqual(app1.inspect().length, 1);
+        assert.strictEqual(app1.inspect()[0].id, inspect(w).id);
+    });
+
+    test("destroy", async () => {
+        const data = app1.store({ count: 0 });
+
+        let calls = 0;
+        let cleanups = 0;
+
+        app1.watch(() => {
+            data.count;
+            calls++;
+            onCleanup(() => cleanups++);
+        });
+
+        data.count++;
+
+        app1.destroy();
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.count++;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(calls, 1, "calls");
+        assert.strictEqual(cleanups, 1, "cleanups");
+        assert.strictEqual(app1.inspect().length, 0, "inspect");
+    });
+});
+
+describe("custom equality", () => {
+    test("shallowEqual", async () => {
+        let item = { a: 1 };
+
+        assert.strictEqual(shallowEqual(1, 1), true, "primitives");
+        assert.strictEqual(shallowEqual(NaN, NaN), true, "NaN");
+        assert.strictEqual(shallowEqual([item, 2], [item, 2]), true, "arrays");
+        assert.strictEqual(shallowEqual([{ a: 1 }], [{ a: 1 }]), false, "new items");
+        assert.strictEqual(shallowEqual({ a: item }, { a: item }), true, "objects");
+        assert.strictEqual(shallowEqual({ a: 1 }, { a: 1, b: 2 }), false, "extra key");
+        assert.strictEqual(shallowEqual([1], { 0: 1 }), false, "array vs object");
+        assert.strictEqual(
+            shallowEqual(new Map([["a", item]]), new Map([["a", item]])),
+            true,
+            "maps",
+        );
+        assert.strictEqual(shallowEqual(new Set([1, 2]), new Set([2, 1])), true, "sets");
+    });
+
+    test("deepEqual", async () => {
+        assert.strictEqual(
+            deepEqual(
+                { a: [{ b: 1 }], c: new Map([["d", { e: 2 }]]) },
+                { a: [{ b: 1 }], c: new Map([["d", { e: 2 }]]) },
+            ),
+            true,
+            "nested",
+        );
+        assert.strictEqual(
+            deepEqual({ a: [{ b: 1 }] }, { a: [{ b: 2 }] }),
+            false,
+            "nested diff",
+        );
+        assert.strictEqual(deepEqual(new Date(1), new Date(1)), true, "dates");
+        assert.strictEqual(deepEqual(new Date(1), new Date(2)), false, "dates diff");
+
+        let a = { b: null };
+        a.b = a;
+        let c = { b: null };
+        c.b = c;
+        assert.strictEqual(deepEqual(a, c), true, "circular");
+
+        const data = store({ list: [{ a: 1 }] });
+        assert.strictEqual(deepEqual(data.list, [{ a: 1 }]), true, "store proxy");
+    });
+
+    test("store equals function", async () => {
+        const data = store({ a: NaN, b: 1 }, { equals: Object.is });
+
+        let calls = 0;
+
+        const w = watch(() => {
+            data.a;
+            data.b;
+            calls++;
+        });
+
+        data.a = NaN;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "NaN");
+
+        data.b = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "change");
+
+        w.unwatch();
+    });
+
+    test("store equals path map", async () => {
+        const data = store(
+            { items: [{ id: 1 }], other: [{ id: 1 }], nested: { list: [1] } },
+            { equals: { items: deepEqual, "nested/list": shallowEqual } },
+        );
+
+        let calls = { items: 0, other: 0, nested: 0 };
+
+        const w1 = watch(() => {
+            data.items;
+            calls.items++;
+        });
+        const w2 = watch(() => {
+            data.other;
+            calls.other++;
+        });
+        const w3 = watch(() => {
+            data.nested.list;
+            calls.nested++;
+        });
+
+        const oldItem = data.items[0];
+
+        data.items = [{ id: 1 }];
+        data.other = [{ id: 1 }];
+        data.nested.list = [1];
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(calls, { items: 1, other: 2, nested: 1 }, "equal");
+        assert.strictEqual(data.items[0], oldItem, "kept old value");
+
+        data.items = [{ id: 2 }];
+        data.nested.list = [2];
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(calls, { items: 2, other: 2, nested: 2 }, "changed");
+
+        w1.unwatch();
+        w2.unwatch();
+        w3.unwatch();
+    });
+
+    test("getter equals", async () => {
+        const data = store(
+            {
+                todos: [
+                    { id: 1, done: false },
+                    { id: 2, done: false },
+                ],
+                get pendingIds() {
+                    return this.todos.filter((t) => !t.done).map((t) => t.id);
+                },
+            },
+            { equals: { pendingIds: shallowEqual } },
+        );
+
+        let result = [];
+
+        const w = watch(() => {
+            result.push(data.pendingIds.join(","));
+        });
+
+        // the getter result is the same
+        data.todos.push({ id: 3, done: true });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        data.todos[0].done = true;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        w.unwatch();
+
+        assert.deepStrictEqual(result, ["1,2", "2"]);
+    });
+
+    test("computed equals", async () => {
+        const data = store({ list: [1, 2, 3] });
+
+        const odd = computed(() => data.list.filter((v) => v % 2), {
+            equals: shallowEqual,
+        });
+
+        let calls = 0;
+
+        const w = watch(() => {
+            odd.value;
+            calls++;
+        });
+
+        data.list.push(4);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "same result");
+
+        data.list.push(5);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "different result");
+
+        w.unwatch();
+    });
+
+    test("map equals", async () => {
+        const data = store({ map: new Map([["a", { b: 1 }]]) }, { equals: deepEqual });
+
+        let calls = 0;
+
+        const w = watch(() => {
+            data.map.get("a");
+            calls++;
+        });
+
+        data.map.set("a", { b: 1 });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 1, "equal");
+
+        data.map.set("a", { b: 2 });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(calls, 2, "changed");
+
+        w.unwatch();
+    });
+
+    test("array items are always written", async () => {
+        const data = store({ list: [{ a: 1 }, { a: 1 }] }, { equals: deepEqual });
+
+        const first = toRaw(data.list[0]);
+
+        data.list.unshift({ a: 0 });
+
+        assert.strictEqual(toRaw(data.list[1]), first);
+        assert.deepStrictEqual(toRaw(data.list), [{ a: 0 }, { a: 1 }, { a: 1 }]);
+    });
+});
+
+describe("schema validation", () => {
+    const schema = {
+        type: "object",
+        required: ["name"],
+        properties: {
+            name: { type: "string" },
+            age: { type: ["integer", "null"] },
+            theme: { enum: ["light", "dark"] },
+            tags: { type: "array", items: { type: "string" } },
+            address: {
+                type: "object",
+                required: ["city"],
+                properties: { city: { type: "string" } },
+            },
+        },
+    };
+
+    test("initial errors", async () => {
+        const data = store({ age: 1.5, tags: ["a", 1] }, { schema });
+
+        assert.deepStrictEqual(
+            { ...validationErrors(data) },
+            {
+                name: "is required",
+                age: "must be integer or null",
+                "tags/1": "must be string",
+            },
+        );
+    });
+
+    test("record invalid writes", async () => {
+        const data = store(
+            { name: "test", tags: [], address: { city: "a" } },
+            { schema },
+        );
+        const errors = validationErrors(data);
+
+        let calls = [];
+        watch(() => calls.push(errors.theme));
+
+        data.theme = "blue";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(data.theme, "blue", "written value");
+        assert.strictEqual(errors.theme, "must be one of light, dark", "theme error");
+
+        data.theme = "dark";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.deepStrictEqual(calls, [
+            undefined,
+            "must be one of light, dark",
+            undefined,
+        ]);
+
+        data.tags.push("a", 2);
+        data.address.city = 1;
+        delete data.name;
+
+        assert.deepStrictEqual(
+            { ...errors },
+            {
+                "tags/1": "must be string",
+                "address/city": "must be string",
+                name: "is required",
+            },
+        );
+
+        // replacing the parent clears its children errors
+        data.tags = [];
+        data.address = {};
+        data.name = "test";
+
+        assert.deepStrictEqual({ ...errors }, { "address/city": "is required" });
+    });
+
+    test("reject invalid writes", async () => {
+        const data = store({ name: "test", age: 1 }, { schema, rejectInvalid: true });
+        const errors = validationErrors(data);
+
+        const originalWarn = console.warn;
+        let warnings = 0;
+        console.warn = () => warnings++;
+
+        try {
+            data.age = "1";
+            delete data.name;
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.strictEqual(warnings, 2, "warnings");
+        assert.strictEqual(data.age, 1, "age");
+        assert.strictEqual(data.name, "test", "name");
+        assert.deepStrictEqual(
+            { ...errors },
+            { age: "must be integer or null", name: "is required" },
+        );
+
+        data.age = null;
+
+        assert.strictEqual(data.age, null, "valid age");
+        assert.deepStrictEqual({ ...errors }, { name: "is required" });
+    });
+
+    test("reject invalid array mutations", async () => {
+        const data = store(
+            { name: "test", tags: ["a"] },
+            { schema, rejectInvalid: true },
+        );
+        const errors = validationErrors(data);
+
+        let calls = 0;
+        const unsubscribe = subscribe(data, () => calls++);
+
+        const originalWarn = console.warn;
+        let warnings = [];
+        console.warn = (msg) => warnings.push(msg);
+
+        try {
+            data.tags.push(5);
+            data.tags.splice(0, 1, "b", 6);
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.deepStrictEqual(warnings, [
+            "store: rejected invalid push() call - tags/1 must be string",
+            "store: rejected invalid splice() call - tags/1 must be string",
+        ]);
+        assert.deepStrictEqual(toRaw(data.tags), ["a"], "[rejected] tags");
+        assert.deepStrictEqual({ ...errors }, { "tags/1": "must be string" });
+
+        data.tags.push("b");
+        data.tags.splice(0, 1, "c", "d");
+
+        assert.deepStrictEqual(toRaw(data.tags), ["c", "d", "b"], "[valid] tags");
+        assert.deepStrictEqual({ ...errors }, {});
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        unsubscribe();
+
+        assert.strictEqual(calls, 1, "subscriber calls");
+    });
+
+    test("readonly errors", async () => {
+        const data = store({ name: "test" }, { schema });
+        const errors = validationErrors(data);
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+
+        try {
+            errors.name = "custom";
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.strictEqual(errors.name, undefined);
+    });
+
+    test("store without schema", async () => {
+        assert.throws(() => validationErrors(store({})));
+    });
+});
@@ -1,4 +1,4 @@
-import { watch } from "./state.js";
+import { watch, bindRuntime } from "./state.js";
 
 /**
  * Proxy object for creating and returning a new HTML element in the format `t.[tag](attrs, ...children)`.
@@ -142,6 +142,9 @@ function tag(tagName, attrs = {}, ...children) {
         }
     }
 
+    // the mount watchers belong to the runtime in which the element was created
+    let runtimeWatch = bindRuntime(watch);
+
     let customMount = el.onmount;
     el.onmount = () => {
         if (el[isMountedSym]) {
@@ -153,7 +156,7 @@ function tag(tagName, attrs = {}, ...children) {
         if (el[watchFuncsSym]) {
             el[registeredWatchersSym] = el[registeredWatchersSym] || [];
             for (let fn of el[watchFuncsSym]) {
-                el[registeredWatchersSym].push(watch(fn));
+                el[registeredWatchersSym].push(runtimeWatch(fn));
             }
         }
 
@@ -1,6 +1,6 @@
 import assert from "node:assert/strict";
 import { test, describe, beforeEach } from "node:test";
-import { store } from "./state.js";
+import { store, createRuntime, inspect } from "./state.js";
 import { t } from "./template.js";
 import { JSDOM } from "jsdom";
 
@@ -730,3 +730,33 @@ describe("ensure that watchers are reassigned on reindexed rid elements with dyn
         assert.strictEqual(calls["item4"], 4);
     });
 });
+
+describe("runtime bindings", () => {
+    test("reactive bindings belong to the runtime in which the element was created", async () => {
+        const app = createRuntime();
+
+        const data = app.store({ n: 1 });
+
+        const tag = app.run(() => t.div({ textContent: () => data.n }));
+
+        const defaultWatchers = inspect().length;
+
+        document.body.appendChild(tag);
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(tag.textContent, "1", "[mounted] textContent");
+        assert.strictEqual(app.inspect().length, 1, "app watchers");
+        assert.strictEqual(inspect().length, defaultWatchers, "default watchers");
+
+        app.destroy();
+
+        data.n = 2;
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.strictEqual(tag.textContent, "1", "[destroyed] textContent");
+
+        tag.remove();
+    });
+});